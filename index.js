@@ -1,6 +1,7 @@
 'use strict';
 const path = require('path');
 const fs = require('fs');
+const crypto = require('crypto');
 const webpack = require('webpack');
 const assert = require('assert');
 const minimatch = require('minimatch');
@@ -8,6 +9,7 @@ const glob = require('glob');
 const slash = require('slash'); // fixes slashes in file paths for windows
 
 const PLUGIN_NAME = 'HtmlWebpackTagsPlugin';
+const TAG_META_PLUGIN = 'html-webpack-tags-plugin';
 
 const IS = {
   isDefined: v => v !== undefined,
@@ -16,16 +18,25 @@ const IS = {
   isNumber: v => v !== undefined && (typeof v === 'number' || v instanceof Number) && isFinite(v),
   isString: v => v !== null && v !== undefined && (typeof v === 'string' || v instanceof String),
   isArray: v => Array.isArray(v),
-  isFunction: v => typeof v === 'function'
+  isFunction: v => typeof v === 'function',
+  isRegExp: v => v instanceof RegExp
 };
 
-const { isDefined, isObject, isBoolean, isNumber, isString, isArray, isFunction } = IS;
+const { isDefined, isObject, isBoolean, isNumber, isString, isArray, isFunction, isRegExp } = IS;
 
 const DEFAULT_OPTIONS = {
   append: true,
   prependExternals: true,
   useHash: false,
   addHash: (assetPath, hash) => assetPath + '?' + hash,
+  integrity: false,
+  cdn: false,
+  injectOnlyIfUsed: false,
+  inlineThreshold: 0,
+  resourceHint: false,
+  preconnect: false,
+  dnsPrefetch: false,
+  priority: 0,
   usePublicPath: true,
   addPublicPath: (assetPath, publicPath) => (publicPath !== '' && !publicPath.endsWith('/') && !assetPath.startsWith('/')) ? publicPath + '/' + assetPath : publicPath + assetPath,
   jsExtensions: ['.js'],
@@ -42,16 +53,132 @@ const ASSET_TYPES = [ASSET_TYPE_CSS, ASSET_TYPE_JS];
 
 const ATTRIBUTES_TEXT = 'strings, booleans or numbers';
 
+// ES module externals are loaded through an import map instead of a <script> tag
+const MODULE_EXTERNAL_TYPES = ['module', 'import'];
+
+const HASH_CONTENT = 'content';
+
+const INTEGRITY_ALGORITHMS = ['sha256', 'sha384', 'sha512'];
+const DEFAULT_INTEGRITY_ALGORITHM = 'sha384';
+
 const isValidAttributeValue = v => isString(v) || isBoolean(v) || isNumber(v);
 
 const isType = type => ASSET_TYPES.indexOf(type) !== -1;
 
+const isModuleExternalType = type => MODULE_EXTERNAL_TYPES.indexOf(type) !== -1;
+
+const isModuleExternal = ({ external }) => isObject(external) && isDefined(external.type);
+
+const isPackageExternal = ({ external }) => isObject(external) && isDefined(external.fromPackage);
+
+const isInlineTag = ({ content, inline }) => isDefined(content) || inline === true;
+
+const INJECT_HEAD = 'head';
+const INJECT_BODY = 'body';
+const INJECT_LOCATIONS = [INJECT_HEAD, INJECT_BODY];
+
+const REL_STYLESHEET = 'stylesheet';
+// links with another rel are always injected next to the head links, so they cannot be moved or ordered like stylesheets
+const REL_LINK_PLACEMENT_OPTIONS = ['inject', 'before', 'after', 'priority', 'dependsOn'];
+
+// before & after anchors are globs matched against the file name (without a query) or RegExps tested against the whole path
+const isAnchorMatch = (anchor, assetPath) => {
+  if (isRegExp(anchor)) {
+    return anchor.test(assetPath);
+  }
+  return minimatch(assetPath.replace(/[?#].*$/, ''), anchor, { matchBase: true });
+};
+
+const isRelLink = ({ rel }) => isDefined(rel) && rel !== REL_STYLESHEET;
+
+const RESOURCE_HINT_PRECONNECT = 'preconnect';
+const RESOURCE_HINT_MODULEPRELOAD = 'modulepreload';
+const RESOURCE_HINTS = ['preload', 'prefetch', RESOURCE_HINT_MODULEPRELOAD, RESOURCE_HINT_PRECONNECT];
+
+const RESOURCE_HINT_DNS_PREFETCH = 'dns-prefetch';
+
+const isResourceHint = v => RESOURCE_HINTS.includes(v);
+
+const RESOURCE_HINT_AS_STYLE = 'style';
+const RESOURCE_HINT_AS_FONT = 'font';
+const FONT_EXTENSIONS = ['.woff', '.woff2', '.ttf', '.otf', '.eot'];
+const IMAGE_EXTENSIONS = ['.png', '.jpg', '.jpeg', '.gif', '.svg', '.webp', '.avif', '.ico'];
+
+// The as attribute of a preload or prefetch hint, inferred from the path extension or else from the tag type
+const getResourceHintAs = (assetPath, isScript) => {
+  const extension = path.extname(assetPath.replace(/[?#].*$/, '')).toLowerCase();
+  if (FONT_EXTENSIONS.includes(extension)) {
+    return RESOURCE_HINT_AS_FONT;
+  }
+  if (IMAGE_EXTENSIONS.includes(extension)) {
+    return 'image';
+  }
+  return isScript ? 'script' : RESOURCE_HINT_AS_STYLE;
+};
+
+const ORIGIN_REGEX = /^(?:[a-z][a-z\d+\-.]*:)?\/\/[^/?#]+/i;
+
+const getOrigin = assetPath => {
+  const match = ORIGIN_REGEX.exec(assetPath);
+  return match ? match[0] : undefined;
+};
+
 const isTypeCss = type => type === ASSET_TYPE_CSS;
 
 const isFunctionReturningString = v => isFunction(v) && isString(v('', ''));
 
 const isArrayOfString = v => isArray(v) && v.every(i => isString(i));
 
+const isIntegrityAlgorithm = v => INTEGRITY_ALGORITHMS.indexOf(v) !== -1;
+
+const readFileAsync = filePath => new Promise((resolve, reject) => {
+  fs.readFile(filePath, (err, data) => {
+    if (err) {
+      reject(err);
+    } else {
+      resolve(data);
+    }
+  });
+});
+
+const statAsync = filePath => new Promise((resolve, reject) => {
+  fs.stat(filePath, (err, stats) => {
+    if (err) {
+      reject(err);
+    } else {
+      resolve(stats);
+    }
+  });
+});
+
+const getContentHash = (source, { hashFunction, hashDigest, hashDigestLength, hashSalt }) => {
+  const hash = webpack.util.createHash(hashFunction);
+  if (hashSalt) {
+    hash.update(hashSalt);
+  }
+  hash.update(source);
+  return hash.digest(hashDigest).slice(0, hashDigestLength);
+};
+
+const CONTENTHASH_REGEX = /\[contenthash(?::(\d+))?\]/;
+
+// Replaces the [name], [ext], [path] and [contenthash] placeholders of an outputPath template for a source file.
+// Like file-loader, any '..' in [path] is replaced so that the asset cannot be emitted outside of the output directory.
+const getOutputPath = (outputPath, sourcePath, source, context, outputOptions) => {
+  const { dir, name, ext } = path.parse(sourcePath);
+  const relativeDir = slash(path.relative(context, dir)).replace(/\.\.(\/)?/g, '_$1');
+  const contentHash = getContentHash(source, outputOptions);
+  return outputPath
+    .replace(/\[name\]/g, () => name)
+    .replace(/\[ext\]/g, () => ext)
+    .replace(/\[path\]/g, () => relativeDir ? relativeDir + '/' : '')
+    .replace(new RegExp(CONTENTHASH_REGEX.source, 'g'), (match, length) => isDefined(length) ? contentHash.slice(0, Number(length)) : contentHash);
+};
+
+const getIntegrity = (source, algorithms) => algorithms
+  .map(algorithm => `${algorithm}-${crypto.createHash(algorithm).update(source).digest('base64')}`)
+  .join(' ');
+
 const createExtensionsRegex = extensions => new RegExp(`.*(${extensions.join('|')})$`);
 
 const getExtensions = (options, optionExtensionName, optionPath) => {
@@ -100,8 +227,16 @@ const splitLinkScriptTags = (tagObjects, options, optionName, optionPath) => {
       (isTypeCss(type) ? linkObjects : scriptObjects).push({
         ...others
       });
+    } else if (isDefined(tagObject.rel)) {
+      linkObjects.push(tagObject);
     } else {
-      const { path } = tagObject;
+      // Tags with an outputPath or an external fromPackage get their path from the emitted asset
+      let path = tagObject.path;
+      if (isPackageExternal(tagObject)) {
+        path = tagObject.external.fromPackage;
+      } else if (isDefined(tagObject.outputPath) || tagObject.inline === true) {
+        path = tagObject.sourcePath;
+      }
       if (isAssetTypeCss(path)) {
         linkObjects.push(tagObject);
       } else if (isAssetTypeJs(path)) {
@@ -131,12 +266,43 @@ const getTagObjects = (tag, optionName, optionPath, isMetaTag = false) => {
       if (isDefined(tag.path)) {
         assert(isString(tag.path), `${optionPath}.${optionName} object should have a string path property`);
       }
-    } else {
+    } else if (!isDefined(tag.outputPath) && !isPackageExternal(tag) && !isInlineTag(tag)) {
       assert(isString(tag.path), `${optionPath}.${optionName} object must have a string path property`);
     }
     if (isDefined(tag.sourcePath)) {
       assert(isString(tag.sourcePath), `${optionPath}.${optionName} object should have a string sourcePath property`);
     }
+    if (isDefined(tag.outputPath)) {
+      assert(isString(tag.outputPath), `${optionPath}.${optionName} object should have a string outputPath property`);
+      assert(isDefined(tag.sourcePath) || isPackageExternal(tag), `${optionPath}.${optionName} object must have a sourcePath property when outputPath is used`);
+      assert(!isDefined(tag.path), `${optionPath}.${optionName} object should not have a path property when outputPath is used`);
+    }
+    if (!isMetaTag && isDefined(tag.content)) {
+      assert(isString(tag.content), `${optionPath}.${optionName} object should have a string content property`);
+      assert(!isDefined(tag.path) && !isDefined(tag.sourcePath), `${optionPath}.${optionName} object should not have a path or sourcePath property when content is used`);
+    }
+    if (!isMetaTag && isDefined(tag.inject)) {
+      assert(INJECT_LOCATIONS.includes(tag.inject), `${optionPath}.${optionName} object inject should be ${INJECT_LOCATIONS.join(' or ')}`);
+    }
+    if (!isMetaTag && (isDefined(tag.before) || isDefined(tag.after))) {
+      assert(!isDefined(tag.before) || !isDefined(tag.after), `${optionPath}.${optionName} object should not have both a before and an after property`);
+      const anchor = isDefined(tag.before) ? tag.before : tag.after;
+      assert(isString(anchor) || isRegExp(anchor), `${optionPath}.${optionName} object before or after should be a string glob or a RegExp`);
+    }
+    if (!isMetaTag && isDefined(tag.id)) {
+      assert(isString(tag.id), `${optionPath}.${optionName} object should have a string id property`);
+    }
+    if (!isMetaTag && isDefined(tag.dependsOn)) {
+      assert(isString(tag.dependsOn) || isArrayOfString(tag.dependsOn), `${optionPath}.${optionName} object dependsOn should be a string or array of strings`);
+      assert(![].concat(tag.dependsOn).includes(tag.id), `${optionPath}.${optionName} object should not depend on its own id`);
+    }
+    if (!isMetaTag && isDefined(tag.inline)) {
+      assert(isBoolean(tag.inline), `${optionPath}.${optionName} object should have a boolean inline property`);
+      if (tag.inline) {
+        assert(isDefined(tag.sourcePath), `${optionPath}.${optionName} object must have a sourcePath property when inline is used`);
+        assert(!isDefined(tag.path) && !isDefined(tag.outputPath), `${optionPath}.${optionName} object should not have a path or outputPath property when inline is used`);
+      }
+    }
     if (isMetaTag) {
       assert(isDefined(tag.attributes), `${optionPath}.${optionName} object must have an object attributes property`);
       assert(Object.keys(tag.attributes).length > 0, `${optionPath}.${optionName} object must have a non empty object attributes property`);
@@ -151,8 +317,15 @@ const getTagObjects = (tag, optionName, optionPath, isMetaTag = false) => {
     }
 
     tag = getValidatedMainOptions(tag, `${optionPath}.${optionName}`, {});
+    tag = { ...tag, ...getValidatedPageFilters(tag, `${optionPath}.${optionName}`) };
+    if (isString(tag.dependsOn)) {
+      tag.dependsOn = [tag.dependsOn];
+    }
 
     if (isDefined(tag.glob) || isDefined(tag.globPath) || isDefined(tag.globFlatten)) {
+      assert(!isDefined(tag.outputPath), `${optionPath}.${optionName} object should not have an outputPath property when glob is used`);
+      assert(isMetaTag || !isInlineTag(tag), `${optionPath}.${optionName} object should not have a content or inline property when glob is used`);
+      assert(!isDefined(tag.id), `${optionPath}.${optionName} object should not have an id property when glob is used`);
       if (isMetaTag) {
         assert(isDefined(tag.path), `${optionPath}.${optionName} object must have a path property when glob is used`);
       }
@@ -214,40 +387,178 @@ const getValidatedMetaObjects = (options, optionName, optionPath) => {
   return metaObjects;
 };
 
+// The same void elements as html-webpack-plugin, which are rendered without a closing tag
+const VOID_TAG_NAMES = ['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'keygen', 'link', 'meta', 'param', 'source', 'track', 'wbr'];
+
+const DEFAULT_PATH_ATTRIBUTE = 'src';
+
+const getCustomTagObject = (tag, optionName, optionPath) => {
+  assert(isObject(tag), `${optionPath}.${optionName} items must be an object`);
+  const { tagName, attributes, innerHTML, voidTag, inject, pathAttribute } = tag;
+  assert(isString(tagName), `${optionPath}.${optionName} object must have a string tagName property`);
+  if (isDefined(attributes)) {
+    assert(isObject(attributes), `${optionPath}.${optionName} object should have an object attributes property`);
+    Object.keys(attributes).forEach(attribute => {
+      const value = attributes[attribute];
+      assert(isValidAttributeValue(value), `${optionPath}.${optionName} object attribute values should be ` + ATTRIBUTES_TEXT);
+    });
+  }
+  if (isDefined(innerHTML)) {
+    assert(isString(innerHTML), `${optionPath}.${optionName} object should have a string innerHTML property`);
+  }
+  if (isDefined(voidTag)) {
+    assert(isBoolean(voidTag), `${optionPath}.${optionName} object should have a boolean voidTag property`);
+    assert(!voidTag || !isDefined(innerHTML), `${optionPath}.${optionName} object should not have an innerHTML property when voidTag is true`);
+  }
+  if (isDefined(inject)) {
+    assert(INJECT_LOCATIONS.includes(inject), `${optionPath}.${optionName} object inject should be ${INJECT_LOCATIONS.join(' or ')}`);
+  }
+  if (isDefined(tag.path)) {
+    assert(isString(tag.path), `${optionPath}.${optionName} object should have a string path property`);
+  }
+  if (isDefined(tag.sourcePath)) {
+    assert(isString(tag.sourcePath), `${optionPath}.${optionName} object should have a string sourcePath property`);
+    assert(isDefined(tag.path), `${optionPath}.${optionName} object must have a path property when sourcePath is used`);
+  }
+  assert(!isDefined(tag.outputPath), `${optionPath}.${optionName} object should not have an outputPath property`);
+  if (isDefined(pathAttribute)) {
+    assert(isString(pathAttribute), `${optionPath}.${optionName} object should have a string pathAttribute property`);
+    assert(isDefined(tag.path), `${optionPath}.${optionName} object must have a path property when pathAttribute is used`);
+  }
+  return {
+    ...getValidatedMainOptions(tag, `${optionPath}.${optionName}`, {}),
+    ...getValidatedPageFilters(tag, `${optionPath}.${optionName}`)
+  };
+};
+
+const getValidatedCustomTagObjects = (options, optionName, optionPath) => {
+  let customTagObjects;
+  if (isDefined(options[optionName])) {
+    const tags = options[optionName];
+    assert(isObject(tags) || isArray(tags), `${optionPath}.${optionName} should be an object or array (${tags})`);
+    customTagObjects = (isArray(tags) ? tags : [tags]).map(tag => getCustomTagObject(tag, optionName, optionPath));
+  }
+  return customTagObjects;
+};
+
 const getValidatedTagObjectExternals = (tagObjects, isScript, optionName, optionPath) => {
   return tagObjects.map(tagObject => {
     if (isObject(tagObject) && isDefined(tagObject.external)) {
       const { external } = tagObject;
       if (isScript) {
         assert(isObject(external), `${optionPath}.${optionName}.external should be an object`);
-        const { packageName, variableName } = external;
-        assert(isString(packageName) || isString(variableName), `${optionPath}.${optionName}.external should have a string packageName and variableName property`);
-        assert(isString(packageName), `${optionPath}.${optionName}.external should have a string packageName property`);
-        assert(isString(variableName), `${optionPath}.${optionName}.external should have a string variableName property`);
+        const { packageName, variableName, type } = external;
+        if (isDefined(type)) {
+          assert(isModuleExternalType(type), `${optionPath}.${optionName}.external type should be ${MODULE_EXTERNAL_TYPES.join(' or ')}`);
+          assert(isString(packageName), `${optionPath}.${optionName}.external should have a string packageName property`);
+          assert(!isDefined(variableName), `${optionPath}.${optionName}.external should not have a variableName property when type is used`);
+          assert(!isInlineTag(tagObject), `${optionPath}.${optionName}.external type should not be used with a content or inline property`);
+        } else {
+          assert(isString(packageName) || isString(variableName), `${optionPath}.${optionName}.external should have a string packageName and variableName property`);
+          assert(isString(packageName), `${optionPath}.${optionName}.external should have a string packageName property`);
+          assert(isString(variableName), `${optionPath}.${optionName}.external should have a string variableName property`);
+        }
+        if (isDefined(external.fromPackage)) {
+          assert(isString(external.fromPackage), `${optionPath}.${optionName}.external should have a string fromPackage property`);
+          assert(!isDefined(tagObject.path) && !isDefined(tagObject.sourcePath), `${optionPath}.${optionName}.external fromPackage should not be used with a path or sourcePath property`);
+        }
+        // The webpack externals apply to every html file and compilation, so their scripts cannot be left out of some of them
+        // (injectOnlyIfUsed leaves them out of the pages that do not use them instead)
+        const { files, chunks, excludeChunks, when } = tagObject;
+        assert(!isDefined(files) && !isDefined(chunks) && !isDefined(excludeChunks) && !isFunction(when),
+          `${optionPath}.${optionName}.external should not be used with a files, chunks, excludeChunks or when function property`);
       } else {
         assert(false, `${optionPath}.${optionName}.external should not be used on non script tags`);
       }
     }
+    if (isObject(tagObject) && (isDefined(tagObject.fallback) || isDefined(tagObject.fallbackSourcePath))) {
+      const { fallback, fallbackSourcePath } = tagObject;
+      assert(isScript && isObject(tagObject.external) && !isModuleExternal(tagObject), `${optionPath}.${optionName}.fallback should only be used on script tags with a variableName external`);
+      if (isDefined(fallback)) {
+        assert(isString(fallback), `${optionPath}.${optionName}.fallback should be a string`);
+      }
+      if (isDefined(fallbackSourcePath)) {
+        assert(isString(fallbackSourcePath), `${optionPath}.${optionName}.fallbackSourcePath should be a string`);
+      }
+    }
+    if (isObject(tagObject) && isDefined(tagObject.rel)) {
+      assert(!isScript, `${optionPath}.${optionName}.rel should only be used on link tags`);
+      assert(isString(tagObject.rel), `${optionPath}.${optionName}.rel should be a string`);
+      assert(!isInlineTag(tagObject), `${optionPath}.${optionName}.rel should not be used with a content or inline property`);
+      if (isRelLink(tagObject)) {
+        REL_LINK_PLACEMENT_OPTIONS.forEach(key => {
+          assert(!isDefined(tagObject[key]), `${optionPath}.${optionName}.rel other than stylesheet should not be used with a ${key} property`);
+        });
+      }
+    }
+    if (isObject(tagObject) && isString(tagObject.cdn)) {
+      assert(isScript && isPackageExternal(tagObject), `${optionPath}.${optionName}.cdn should only be used on script tags with an external fromPackage`);
+    }
     return tagObject;
   });
 };
 
+// The files option matches the html-webpack-plugin output name with a glob or a RegExp, or calls a function with the output name and plugin data
+const isFilesItem = v => isString(v) || isRegExp(v) || isFunction(v);
+
+const isFileMatch = (file, htmlPluginData) => {
+  const { outputName } = htmlPluginData;
+  if (isRegExp(file)) {
+    // A global or sticky RegExp keeps the lastIndex of its last match, so every hook starts matching from the start again
+    file.lastIndex = 0;
+    return file.test(outputName);
+  }
+  if (isFunction(file)) {
+    return !!file(outputName, htmlPluginData);
+  }
+  return minimatch(outputName, file);
+};
+
+const getValidatedFiles = (files, optionPath) => {
+  assert(isFilesItem(files) || (isArray(files) && files.every(isFilesItem)), `${optionPath} should be a string, RegExp or function, or an array of these`);
+  return isArray(files) ? files : [files];
+};
+
+// Tags can be limited to some html-webpack-plugin outputs by their files, or by the entry chunks the outputs include,
+// and to some compilations by their when option
+const getValidatedPageFilters = ({ files, chunks, excludeChunks, when }, optionPath) => {
+  const pageFilters = {};
+  if (isDefined(when)) {
+    assert(isString(when) || isFunction(when), `${optionPath} object when should be a mode string or a function`);
+    pageFilters.when = when;
+  }
+  if (isDefined(files)) {
+    pageFilters.files = getValidatedFiles(files, `${optionPath} object files`);
+  }
+  if (isDefined(chunks)) {
+    assert(isString(chunks) || isArrayOfString(chunks), `${optionPath} object chunks should be a string or array of strings`);
+    pageFilters.chunks = [].concat(chunks);
+  }
+  if (isDefined(excludeChunks)) {
+    assert(isString(excludeChunks) || isArrayOfString(excludeChunks), `${optionPath} object excludeChunks should be a string or array of strings`);
+    pageFilters.excludeChunks = [].concat(excludeChunks);
+  }
+  return pageFilters;
+};
+
+const isFilesMatch = (files, htmlPluginData) => files.some(file => isFileMatch(file, htmlPluginData));
+
 const getShouldSkip = files => {
   let shouldSkip = () => false;
   if (isDefined(files)) {
-    shouldSkip = htmlPluginData => !files.some(function (file) {
-      return minimatch(htmlPluginData.outputName, file);
-    });
+    shouldSkip = htmlPluginData => !isFilesMatch(files, htmlPluginData);
   }
   return shouldSkip;
 };
 
-const processShortcuts = (options, optionPath, keyShortcut, keyUse, keyAdd, add) => {
+const processShortcuts = (options, optionPath, keyShortcut, keyUse, keyAdd, add, useValues = []) => {
   const processedOptions = {};
+  const isUseValue = v => useValues.indexOf(v) !== -1;
+  const useValuesText = useValues.map(useValue => ` or '${useValue}'`).join('');
   if (isDefined(options[keyUse]) || isDefined(options[keyAdd])) {
     assert(!isDefined(options[keyShortcut]), `${optionPath}.${keyShortcut} should not be used with either ${keyUse} or ${keyAdd}`);
     if (isDefined(options[keyUse])) {
-      assert(isBoolean(options[keyUse]), `${optionPath}.${keyUse} should be a boolean`);
+      assert(isBoolean(options[keyUse]) || isUseValue(options[keyUse]), `${optionPath}.${keyUse} should be a boolean${useValuesText}`);
       processedOptions[keyUse] = options[keyUse];
     }
     if (isDefined(options[keyAdd])) {
@@ -258,7 +569,7 @@ const processShortcuts = (options, optionPath, keyShortcut, keyUse, keyAdd, add)
     const shortcut = options[keyShortcut];
     assert(isBoolean(shortcut) || isString(shortcut) || isFunctionReturningString(shortcut),
       `${optionPath}.${keyShortcut} should be a boolean or a string or a function that returns a string`);
-    if (isBoolean(shortcut)) {
+    if (isBoolean(shortcut) || isUseValue(shortcut)) {
       processedOptions[keyUse] = shortcut;
     } else if (isString(shortcut)) {
       processedOptions[keyUse] = true;
@@ -272,7 +583,7 @@ const processShortcuts = (options, optionPath, keyShortcut, keyUse, keyAdd, add)
 };
 
 const getValidatedMainOptions = (options, optionPath, defaultOptions = {}) => {
-  const { append, prependExternals, publicPath, usePublicPath, addPublicPath, hash, useHash, addHash, ...otherOptions } = options;
+  const { append, prependExternals, publicPath, usePublicPath, addPublicPath, hash, useHash, addHash, integrity, cdn, injectOnlyIfUsed, inlineThreshold, resourceHint, preconnect, dnsPrefetch, priority, ...otherOptions } = options;
   const validatedOptions = { ...defaultOptions, ...otherOptions };
   if (isDefined(append)) {
     assert(isBoolean(append), `${optionPath}.append should be a boolean`);
@@ -289,13 +600,52 @@ const getValidatedMainOptions = (options, optionPath, defaultOptions = {}) => {
   if (isDefined(publicPathOptions.addPublicPath)) {
     validatedOptions.addPublicPath = publicPathOptions.addPublicPath;
   }
-  const hashOptions = processShortcuts(options, optionPath, 'hash', 'useHash', 'addHash', DEFAULT_OPTIONS.addHash);
+  const hashOptions = processShortcuts(options, optionPath, 'hash', 'useHash', 'addHash', DEFAULT_OPTIONS.addHash, [HASH_CONTENT]);
   if (isDefined(hashOptions.useHash)) {
     validatedOptions.useHash = hashOptions.useHash;
   }
   if (isDefined(hashOptions.addHash)) {
     validatedOptions.addHash = hashOptions.addHash;
   }
+  if (isDefined(integrity)) {
+    assert(isBoolean(integrity) || isIntegrityAlgorithm(integrity) || (isArray(integrity) && integrity.length > 0 && integrity.every(isIntegrityAlgorithm)),
+      `${optionPath}.integrity should be a boolean or one or an array of ${INTEGRITY_ALGORITHMS.join(', ')}`);
+    if (integrity === true) {
+      validatedOptions.integrity = [DEFAULT_INTEGRITY_ALGORITHM];
+    } else if (isString(integrity)) {
+      validatedOptions.integrity = [integrity];
+    } else {
+      validatedOptions.integrity = integrity;
+    }
+  }
+  if (isDefined(cdn)) {
+    assert(cdn === false || isString(cdn), `${optionPath}.cdn should be false or a string`);
+    validatedOptions.cdn = cdn;
+  }
+  if (isDefined(injectOnlyIfUsed)) {
+    assert(isBoolean(injectOnlyIfUsed), `${optionPath}.injectOnlyIfUsed should be a boolean`);
+    validatedOptions.injectOnlyIfUsed = injectOnlyIfUsed;
+  }
+  if (isDefined(inlineThreshold)) {
+    assert(isNumber(inlineThreshold) && inlineThreshold >= 0, `${optionPath}.inlineThreshold should be a non negative number`);
+    validatedOptions.inlineThreshold = inlineThreshold;
+  }
+  if (isDefined(resourceHint)) {
+    assert(resourceHint === false || isResourceHint(resourceHint), `${optionPath}.resourceHint should be false or one of ${RESOURCE_HINTS.join(', ')}`);
+    validatedOptions.resourceHint = resourceHint;
+  }
+  if (isDefined(preconnect)) {
+    assert(isBoolean(preconnect), `${optionPath}.preconnect should be a boolean`);
+    validatedOptions.preconnect = preconnect;
+  }
+  if (isDefined(dnsPrefetch)) {
+    assert(isBoolean(dnsPrefetch), `${optionPath}.dnsPrefetch should be a boolean`);
+    validatedOptions.dnsPrefetch = dnsPrefetch;
+  }
+  if (isDefined(priority)) {
+    assert(isNumber(priority), `${optionPath}.priority should be a number`);
+    validatedOptions.priority = priority;
+  }
   return validatedOptions;
 };
 
@@ -337,18 +687,228 @@ const getValidatedOptions = (options, optionPath, defaultOptions = DEFAULT_OPTIO
     validatedOptions.linksAppend = validatedOptions.links.filter(isTagAppend);
   }
   if (isDefined(validatedOptions.scripts)) {
-    validatedOptions.scriptsPrepend = validatedOptions.scripts.filter(isTagPrepend);
-    validatedOptions.scriptsAppend = validatedOptions.scripts.filter(isTagAppend);
+    const scriptObjects = validatedOptions.scripts.filter(scriptObject => !isModuleExternal(scriptObject));
+    validatedOptions.scriptsPrepend = scriptObjects.filter(isTagPrepend);
+    validatedOptions.scriptsAppend = scriptObjects.filter(isTagAppend);
   }
   if (isDefined(options.metas)) {
     let metaObjects = getValidatedMetaObjects(options, 'metas', optionPath);
     metaObjects = getValidatedTagObjectExternals(metaObjects, false, 'metas', optionPath);
     validatedOptions.metas = metaObjects;
   }
+  if (isDefined(options.customTags)) {
+    validatedOptions.customTags = getValidatedCustomTagObjects(options, 'customTags', optionPath);
+  }
 
   return validatedOptions;
 };
 
+const EXTERNALS_TYPE_VAR = 'var';
+
+// Mirrors how webpack defaults the externalsType, since the defaults are not applied yet when plugins are applied
+const getExternalsType = ({ externalsType, output = {} }) => {
+  if (isDefined(externalsType)) {
+    return externalsType;
+  }
+  if (isObject(output.library) && isDefined(output.library.type)) {
+    return output.library.type;
+  }
+  return output.module ? 'module' : EXTERNALS_TYPE_VAR;
+};
+
+// webpack externals can be a string, RegExp, object, function or an array of these
+const mergeExternals = (externals, pluginExternals) => {
+  if (!isDefined(externals)) {
+    return pluginExternals;
+  }
+  if (Object.keys(pluginExternals).length === 0) {
+    return externals;
+  }
+  if (isObject(externals) && !(externals instanceof RegExp)) {
+    return Object.assign(externals, pluginExternals);
+  }
+  if (isArray(externals)) {
+    return [pluginExternals, ...externals];
+  }
+  return [pluginExternals, externals];
+};
+
+// Whether webpack externals name a package, which is never known for function externals
+const hasExternal = (externals, packageName) => {
+  if (isArray(externals)) {
+    return externals.some(external => hasExternal(external, packageName));
+  }
+  if (isString(externals)) {
+    return externals === packageName;
+  }
+  if (isRegExp(externals)) {
+    externals.lastIndex = 0;
+    return externals.test(packageName);
+  }
+  return isObject(externals) && Object.prototype.hasOwnProperty.call(externals, packageName);
+};
+
+// The fallback of an external script is resolved like a tag of its own, using the plugin options rather than the
+// options of the (usually absolute) external script path, and it is emitted with its own filename when it has no path
+const getFallbackTag = ({ fallback, fallbackSourcePath }) => ({
+  path: fallback,
+  sourcePath: fallbackSourcePath,
+  outputPath: isDefined(fallback) ? undefined : '[name][ext]'
+});
+
+const escapeAttribute = value => value.replace(/&/g, '&amp;').replace(/"/g, '&quot;');
+
+// A dotted variableName (like webpack var externals allow) is checked one property at a time, e.g. window["a"] && window["a"]["b"]
+const getFallbackScript = (variableName, fallbackPath) => {
+  const fallbackHtml = JSON.stringify(`<script src="${escapeAttribute(fallbackPath)}"></script>`).replace(/<\//g, '<\\/');
+  const keys = variableName.split('.').map(key => `[${JSON.stringify(key)}]`);
+  const variableCheck = keys.map((key, index) => `window${keys.slice(0, index + 1).join('')}`).join(' && ');
+  return `${variableCheck} || document.write(${fallbackHtml});`;
+};
+
+const DEFAULT_PACKAGE_OUTPUT_PATH = '[packageName]/[name].[version][ext]';
+
+const getPackagePath = (template, { packageName, fromPackage }, version) => template
+  .replace(/\[packageName\]/g, () => packageName)
+  .replace(/\[version\]/g, () => version)
+  .replace(/\[file\]/g, () => slash(fromPackage).replace(/^\.?\//, ''));
+
+// Resolves an installed package with node resolution from the webpack context
+// Packages whose exports do not list ./package.json are found from their entry, walking up to their package.json
+const resolvePackageJsonFromEntry = (packageName, context) => {
+  let dir = path.dirname(require.resolve(packageName, { paths: [context] }));
+  while (true) {
+    const packageJsonPath = path.join(dir, 'package.json');
+    if (fs.existsSync(packageJsonPath) && JSON.parse(fs.readFileSync(packageJsonPath, 'utf8')).name === packageName) {
+      return packageJsonPath;
+    }
+    const parentDir = path.dirname(dir);
+    if (parentDir === dir) {
+      throw new Error(`no package.json found for ${packageName}`);
+    }
+    dir = parentDir;
+  }
+};
+
+const resolvePackage = (packageName, context) => {
+  let packageJsonPath;
+  try {
+    packageJsonPath = require.resolve(`${packageName}/package.json`, { paths: [context] });
+  } catch (err) {
+    try {
+      packageJsonPath = resolvePackageJsonFromEntry(packageName, context);
+    } catch (entryErr) {
+      throw new Error(`${PLUGIN_NAME}: could not resolve the package (${packageName}) from (${context})`);
+    }
+  }
+  const { version } = JSON.parse(fs.readFileSync(packageJsonPath, 'utf8'));
+  return {
+    packageDir: path.dirname(packageJsonPath),
+    packageJsonPath,
+    version
+  };
+};
+
+// The names of the entrypoints an html-webpack-plugin instance injects, using its chunks & excludeChunks options
+const getPageEntrypointNames = (compilation, { chunks = 'all', excludeChunks = [] } = {}) => Array.from(compilation.entrypoints.keys())
+  .filter(name => (chunks === 'all' || chunks.includes(name)) && !excludeChunks.includes(name));
+
+// The entry chunks of the entrypoints an html-webpack-plugin instance injects
+const getPageChunks = (compilation, htmlPluginOptions) => getPageEntrypointNames(compilation, htmlPluginOptions)
+  .reduce((pageChunks, name) => pageChunks.concat(compilation.entrypoints.get(name).chunks), []);
+
+// The packageNames of the external modules in the given chunks or in the chunks they load on demand
+const getUsedExternals = (chunks, chunkGraph) => {
+  const allChunks = new Set();
+  chunks.forEach(chunk => {
+    allChunks.add(chunk);
+    chunk.getAllAsyncChunks().forEach(asyncChunk => allChunks.add(asyncChunk));
+  });
+  const usedExternals = new Set();
+  allChunks.forEach(chunk => {
+    for (const module of chunkGraph.getChunkModulesIterable(chunk)) {
+      if (isDefined(module.externalType)) {
+        usedExternals.add(module.userRequest);
+      }
+    }
+  });
+  return usedExternals;
+};
+
+// Inline tags are injected with a placeholder path, which is unique to their content
+const getInlinePath = content => `${TAG_META_PLUGIN}-inline-${crypto.createHash('sha256').update(content).digest('hex').slice(0, 20)}`;
+
+// The paths injected into the assets of each html-webpack-plugin in a compilation by every instance of this plugin.
+// Later instances prepend their tags before those of earlier ones, so tags with the same priority keep the registration order behavior.
+const sharedAssetsByCompilation = new WeakMap();
+
+const getSharedAssets = (compilation, htmlPlugin) => {
+  if (!sharedAssetsByCompilation.has(compilation)) {
+    sharedAssetsByCompilation.set(compilation, new WeakMap());
+  }
+  const sharedAssetsByHtmlPlugin = sharedAssetsByCompilation.get(compilation);
+  if (!sharedAssetsByHtmlPlugin.has(htmlPlugin)) {
+    sharedAssetsByHtmlPlugin.set(htmlPlugin, { jsPrepend: [], jsAppend: [], cssPrepend: [], cssAppend: [], ids: new Set() });
+  }
+  return sharedAssetsByHtmlPlugin.get(htmlPlugin);
+};
+
+// The script and link tags injected into an html-webpack-plugin output, which can have an id and dependsOn
+const getDependableTags = ({ scriptsPrepend, scriptsAppend, scriptsImportMap, linksPrepend, linksAppend }) =>
+  [].concat(scriptsPrepend, scriptsAppend, scriptsImportMap, linksPrepend, linksAppend).map(({ tag }) => tag);
+
+// Tags with a higher priority come first, the sort is stable for tags with the same priority
+const sortByPriority = sharedEntries => sharedEntries.slice().sort((a, b) => b.priority - a.priority);
+
+// Tags are moved after the tags they depend on, the other tags keep their order. The dependencies that are not in the
+// entries are ignored here, they are checked in onAlterAssetTagGroups once every instance of this plugin has added its tags.
+const sortByDependencies = sharedEntries => {
+  const remainingCountById = new Map();
+  sharedEntries.filter(({ id }) => isDefined(id)).forEach(({ id }) => {
+    remainingCountById.set(id, (remainingCountById.get(id) || 0) + 1);
+  });
+  const isReady = ({ dependsOn = [] }) => dependsOn.every(dependency => !remainingCountById.get(dependency));
+  const sortedEntries = [];
+  let pendingEntries = sharedEntries;
+  while (pendingEntries.length > 0) {
+    const readyEntry = pendingEntries.find(isReady);
+    if (!readyEntry) {
+      const cyclicTags = pendingEntries.map(({ id, path }) => isDefined(id) ? id : path);
+      throw new Error(`${PLUGIN_NAME}: the tags (${cyclicTags.join(', ')}) have a cyclic dependency`);
+    }
+    sortedEntries.push(readyEntry);
+    pendingEntries = pendingEntries.filter(entry => entry !== readyEntry);
+    if (isDefined(readyEntry.id)) {
+      remainingCountById.set(readyEntry.id, remainingCountById.get(readyEntry.id) - 1);
+    }
+  }
+  return sortedEntries;
+};
+
+const getSortedPaths = (prependEntries, paths, appendEntries) => sortByDependencies(sortByPriority(prependEntries)
+  .concat(paths.map(path => ({ path })), sortByPriority(appendEntries)))
+  .map(({ path }) => path);
+
+// The current asset paths keep what other plugins changed since the last instance of this plugin: the paths injected by earlier
+// instances are taken out and sorted again with the new ones, and those another plugin has removed are forgotten
+const getSharedSortedPaths = (paths, sharedAssets, type, prependEntries, appendEntries) => {
+  const otherPaths = paths.slice();
+  const takeOutEntries = (entries, getIndex) => entries.filter(({ path }) => {
+    const index = getIndex(path);
+    if (index !== -1) {
+      otherPaths.splice(index, 1);
+    }
+    return index !== -1;
+  });
+  const sharedPrepend = takeOutEntries(sharedAssets[`${type}Prepend`], path => otherPaths.indexOf(path));
+  const sharedAppend = takeOutEntries(sharedAssets[`${type}Append`], path => otherPaths.lastIndexOf(path));
+  sharedAssets[`${type}Prepend`] = prependEntries.concat(sharedPrepend);
+  sharedAssets[`${type}Append`] = sharedAppend.concat(appendEntries);
+  return getSortedPaths(sharedAssets[`${type}Prepend`], otherPaths, sharedAssets[`${type}Append`]);
+};
+
+const getTagOption = (tagObject, options, key) => isDefined(tagObject[key]) ? tagObject[key] : options[key];
+
 const getTagPath = (tagObject, options, webpackPublicPath, compilationHash) => {
   const mergedOptions = { ...options };
   Object.keys(tagObject).filter(key => isDefined(tagObject[key])).forEach(key => {
@@ -366,100 +926,201 @@ const getTagPath = (tagObject, options, webpackPublicPath, compilationHash) => {
   return slash(path);
 };
 
-const getAllValidatedOptions = (options, optionPath) => {
-  const validatedOptions = getValidatedOptions(options, optionPath);
-  let { files } = options;
+// The env of a compiler is its webpack mode, or else the NODE_ENV, and production (the webpack default mode) when neither is set
+const getEnv = ({ mode }) => isDefined(mode) ? mode : (process.env.NODE_ENV || 'production');
+
+// The tags of the env options are added to the main tags, the other env options replace the main options
+const ENV_TAG_OPTIONS = ['tags', 'links', 'scripts', 'metas', 'customTags'];
+
+const getEnvOptions = (options, env) => {
+  const { env: envOptions = {}, ...mainOptions } = options;
+  const modeOptions = envOptions[env];
+  if (!isDefined(modeOptions)) {
+    return mainOptions;
+  }
+  const mergedOptions = { ...mainOptions, ...modeOptions };
+  ENV_TAG_OPTIONS.filter(key => isDefined(mainOptions[key]) && isDefined(modeOptions[key])).forEach(key => {
+    mergedOptions[key] = [].concat(mainOptions[key], modeOptions[key]);
+  });
+  return mergedOptions;
+};
+
+// The validated tag lists that tags with a mode string when are left out of for another env
+const TAG_LIST_OPTIONS = ['links', 'linksPrepend', 'linksAppend', 'scripts', 'scriptsPrepend', 'scriptsAppend', 'metas', 'customTags'];
+
+const getEnvTagOptions = (validatedOptions, env) => {
+  const envTagOptions = { ...validatedOptions };
+  TAG_LIST_OPTIONS.filter(key => isDefined(validatedOptions[key])).forEach(key => {
+    envTagOptions[key] = validatedOptions[key].filter(({ when }) => !isString(when) || when === env);
+  });
+  return envTagOptions;
+};
+
+const WEBPACK_MODES = ['development', 'production', 'none'];
+
+// Tags with different mode string whens are never injected together, so they can share an id (e.g. a development and a production build)
+const isInjectedTogether = ({ when: when1 }, { when: when2 }) => !isString(when1) || !isString(when2) || when1 === when2;
+
+const getAllValidatedOptions = (options, optionPath, env, envNames = []) => {
+  assert(isObject(options), `${optionPath} should be an object`);
+  if (isDefined(options.env)) {
+    assert(isObject(options.env), `${optionPath}.env should be an object`);
+    Object.keys(options.env).forEach(name => {
+      const modeOptions = options.env[name];
+      assert(isObject(modeOptions) && !isDefined(modeOptions.env), `${optionPath}.env.${name} should be an options object without an env property`);
+    });
+  }
+  const envOptions = getEnvOptions(options, env);
+  let validatedOptions = getValidatedOptions(envOptions, optionPath);
+  const whens = WEBPACK_MODES.concat(envNames, Object.keys(options.env || {}), isDefined(env) ? [env] : []);
+  TAG_LIST_OPTIONS.filter(key => isDefined(validatedOptions[key])).forEach(key => {
+    validatedOptions[key].filter(({ when }) => isString(when)).forEach(({ when }) => {
+      assert(whens.includes(when), `${optionPath}.${key} object when (${when}) should be a webpack mode or an env name`);
+    });
+  });
+  if (isDefined(env)) {
+    validatedOptions = getEnvTagOptions(validatedOptions, env);
+  }
+  const tagsWithId = (validatedOptions.links || []).concat(validatedOptions.scripts || []).filter(({ id }) => isDefined(id));
+  tagsWithId.forEach((tag, index) => {
+    const isDuplicate = tagsWithId.slice(0, index).some(otherTag => otherTag.id === tag.id && isInjectedTogether(otherTag, tag));
+    assert(!isDuplicate, `${optionPath} tag ids should be unique (${tag.id})`);
+  });
+  const { files } = envOptions;
   if (isDefined(files)) {
-    assert((isString(files) || isArrayOfString(files)), `${optionPath}.files should be a string or array of strings`);
-    if (isString(files)) {
-      files = [files];
-    }
     return {
       ...validatedOptions,
-      files
+      files: getValidatedFiles(files, `${optionPath}.files`)
     };
   }
   return validatedOptions;
 };
 
-function HtmlWebpackTagsPlugin (options) {
-  const validatedOptions = getAllValidatedOptions(options, PLUGIN_NAME + '.options');
+const getPluginOptions = (options, env, optionPath = PLUGIN_NAME + '.options', envNames = []) => {
+  const validatedOptions = getAllValidatedOptions(options, optionPath, env, envNames);
 
   const shouldSkip = getShouldSkip(validatedOptions.files);
 
   // Allows tests to be run with html-webpack-plugin v4
   const htmlPluginName = isDefined(options.htmlPluginName) ? options.htmlPluginName : 'html-webpack-plugin';
 
-  this.options = {
+  return {
     ...validatedOptions,
     shouldSkip,
     htmlPluginName
   };
+};
+
+// Options given as a function are called with each compilation, and can return a promise. They are called from the
+// html-webpack-plugin hooks, which its cache option skips when the webpack assets did not change.
+const getCompilationOptions = (optionsFunction, compilation, env) => Promise.resolve()
+  .then(() => optionsFunction(compilation))
+  .then(options => {
+    const pluginOptions = getPluginOptions(options, env);
+    // html-webpack-plugin is required when the compilation starts, before the function is called
+    assert(!isDefined(options.htmlPluginName),
+      `${PLUGIN_NAME}.options returned by a function should not have an htmlPluginName, since html-webpack-plugin is hooked into before it is called`);
+    // The webpack externals are configured before the compilation, so only the packages they already have can be external
+    pluginOptions.scripts.filter(({ external }) => isDefined(external)).forEach(({ external }) => {
+      assert(hasExternal(compilation.options.externals, external.packageName),
+        `${PLUGIN_NAME}.options returned by a function should only have an external whose package (${external.packageName}) is in the webpack externals`);
+    });
+    return pluginOptions;
+  });
+
+// The options of every env are validated when the plugin is created, so that errors do not depend on the mode
+const getPluginOptionsByEnv = options => {
+  const envNames = Object.keys(options.env || {});
+  return new Map(envNames.map(name => [name, getPluginOptions(getEnvOptions(options, name), name, `${PLUGIN_NAME}.options.env.${name}`, envNames)]));
+};
+
+function HtmlWebpackTagsPlugin (options) {
+  this.userOptions = options;
+  if (!isFunction(options)) {
+    this.options = getPluginOptions(options);
+    this.optionsByEnv = getPluginOptionsByEnv(options);
+  }
 }
 
 HtmlWebpackTagsPlugin.prototype.apply = function (compiler) {
-  const { options } = this;
-  const { shouldSkip, htmlPluginName } = options;
-  const { scripts, scriptsPrepend, scriptsAppend, linksPrepend, linksAppend, metas } = options;
-
-  const externals = compiler.options.externals || {};
-  scripts.forEach(script => {
-    const { external } = script;
-    if (isObject(external)) {
-      externals[external.packageName] = external.variableName;
-    }
-  });
-  compiler.options.externals = externals;
+  const { userOptions, options: mainOptions, optionsByEnv } = this;
+
+  // The options validated for the env of the compiler are picked here, since the env is not known when the plugin is created.
+  // Options given as a function are resolved for every compilation instead, once the webpack externals are configured.
+  const env = getEnv(compiler.options);
+  const staticOptions = isFunction(userOptions) ? undefined : (optionsByEnv.get(env) || getEnvTagOptions(mainOptions, env));
+  const htmlPluginName = staticOptions ? staticOptions.htmlPluginName : 'html-webpack-plugin';
+
+  if (staticOptions) {
+    // The external scripts expose global variables, so their type is given explicitly when webpack would not default to var
+    const externalsType = getExternalsType(compiler.options);
+    const pluginExternals = {};
+    staticOptions.scripts.forEach(script => {
+      const { external } = script;
+      if (isModuleExternal(script)) {
+        pluginExternals[external.packageName] = `${external.type} ${external.packageName}`;
+      } else if (isObject(external)) {
+        pluginExternals[external.packageName] = externalsType === EXTERNALS_TYPE_VAR ? external.variableName : `${EXTERNALS_TYPE_VAR} ${external.variableName}`;
+      }
+    });
+    compiler.options.externals = mergeExternals(compiler.options.externals, pluginExternals);
+  }
 
-  let savedAssetsPublicPath = null;
+  // The html-webpack-plugin hook handlers of a compilation, for the resolved options
+  const getHtmlPluginHandlers = (compilation, options) => {
+    const { shouldSkip } = options;
+    const { scripts, scriptsPrepend, scriptsAppend, linksPrepend, linksAppend, metas, customTags } = options;
+    const scriptsImportMap = scripts.filter(isModuleExternal);
+
+    // Links to fonts or images with a resourceHint are only injected as the hint, since they are not stylesheets
+    const isHintOnlyLink = ({ tag, path, content }) => !isDefined(content) && !isRelLink(tag) && !!getTagOption(tag, options, 'resourceHint') &&
+      getResourceHintAs(path, false) !== RESOURCE_HINT_AS_STYLE;
+
+    // Links with another rel are created in onAlterAssetTagGroups, since html-webpack-plugin renders its css assets as stylesheets
+    const isStylesheetLink = injectedTag => !isRelLink(injectedTag.tag) && !isHintOnlyLink(injectedTag);
+
+    // The tags injected for each html-webpack-plugin instance, so they can be found again in onAlterAssetTagGroups
+    const injectedTagsByHtmlPlugin = new WeakMap();
+
+    // Externals are checked once per compilation, only for the tags that are injected if used
+    let hasCheckedUnusedExternals = false;
+    const checkUnusedExternals = () => {
+      hasCheckedUnusedExternals = true;
+      const usedExternals = getUsedExternals(Array.from(compilation.chunks), compilation.chunkGraph);
+      scripts.forEach(tag => {
+        if (isObject(tag.external) && getTagOption(tag, options, 'injectOnlyIfUsed') && !usedExternals.has(tag.external.packageName)) {
+          compilation.warnings.push(new webpack.WebpackError(`${PLUGIN_NAME}: the external (${tag.external.packageName}) is not used by any chunk`));
+        }
+      });
+    };
 
-  // Hook into the html-webpack-plugin processing
-  const onCompilation = compilation => {
-    const onBeforeHtmlGeneration = (htmlPluginData, callback) => {
+    const onBeforeHtmlGeneration = htmlPluginData => {
+      if (!hasCheckedUnusedExternals) {
+        checkUnusedExternals();
+      }
       if (shouldSkip(htmlPluginData)) {
-        if (callback) {
-          return callback(null, htmlPluginData);
-        } else {
-          return Promise.resolve(htmlPluginData);
-        }
+        return Promise.resolve(htmlPluginData);
       }
 
       const { assets } = htmlPluginData;
-      const pluginPublicPath = savedAssetsPublicPath = assets.publicPath;
+      const pluginPublicPath = assets.publicPath;
       const compilationHash = compilation.hash;
-      const assetPromises = [];
 
-      const addAsset = assetPath => {
+      const addAsset = (assetPath, outputPath) => {
         try {
-          if (htmlPluginData.plugin && htmlPluginData.plugin.addFileToAssets) {
+          if (!isDefined(outputPath) && htmlPluginData.plugin && htmlPluginData.plugin.addFileToAssets) {
             return htmlPluginData.plugin.addFileToAssets(assetPath, compilation);
           } else {
             assetPath = path.resolve(compilation.compiler.context, assetPath);
-            return Promise.all([
-              new Promise((resolve, reject) => {
-                fs.stat(assetPath, (err, stats) => {
-                  if (err) {
-                    reject(err);
-                  } else {
-                    resolve(stats);
-                  }
-                });
-              }),
-              new Promise((resolve, reject) => {
-                fs.readFile(assetPath, (err, data) => {
-                  if (err) {
-                    reject(err);
-                  } else {
-                    resolve(data);
-                  }
-                });
-              })
-            ]).then(([stat, source]) => {
+            return Promise.all([statAsync(assetPath), readFileAsync(assetPath)]).then(([stat, source]) => {
               const { size } = stat;
-              const basename = path.basename(assetPath);
+              const { context } = compilation.compiler;
+              const assetName = isDefined(outputPath) ? getOutputPath(outputPath, assetPath, source, context, compilation.outputOptions) : path.basename(assetPath);
+              const immutable = isDefined(outputPath) && CONTENTHASH_REGEX.test(outputPath);
               source = new webpack.sources.RawSource(source, true);
               compilation.fileDependencies.add(assetPath);
-              compilation.emitAsset(basename, source, { size });
+              compilation.emitAsset(assetName, source, { size, immutable });
+              return assetName;
             });
           }
         } catch (err) {
@@ -467,100 +1128,358 @@ HtmlWebpackTagsPlugin.prototype.apply = function (compiler) {
         }
       };
 
-      const getPath = tag => {
-        if (isString(tag.sourcePath)) {
-          assetPromises.push(addAsset(tag.sourcePath));
+      // The source of a tag is its emitted sourcePath asset, or else the compilation asset or file matching its path
+      const getTagSource = (tag, assetName) => {
+        // cdn tags are not emitted, their source is the installed package file
+        if (!isDefined(assetName) && isDefined(tag.sourcePath)) {
+          return readFileAsync(tag.sourcePath).catch(() => undefined);
         }
-        return getTagPath(tag, options, pluginPublicPath, compilationHash);
+        const asset = compilation.getAsset(isDefined(assetName) ? assetName : slash(path.normalize(tag.path)).replace(/^\/+/, ''));
+        if (asset) {
+          return Promise.resolve(asset.source.buffer());
+        }
+        return readFileAsync(path.resolve(compilation.compiler.context, tag.path)).catch(() => undefined);
       };
 
-      const jsPrependPaths = scriptsPrepend.map(getPath);
-      const jsAppendPaths = scriptsAppend.map(getPath);
-
-      const cssPrependPaths = linksPrepend.map(getPath);
-      const cssAppendPaths = linksAppend.map(getPath);
-
-      assets.js = jsPrependPaths.concat(assets.js).concat(jsAppendPaths);
-      assets.css = cssPrependPaths.concat(assets.css).concat(cssAppendPaths);
+      // An external fromPackage file is served from the cdn, or else emitted from the installed package, versioned with the package version.
+      // The cdn URL is absolute, so the webpack publicPath is not added to it.
+      const getPackageTag = tag => {
+        const { external, outputPath = DEFAULT_PACKAGE_OUTPUT_PATH, ...otherOptions } = tag;
+        const { packageDir, packageJsonPath, version } = resolvePackage(external.packageName, compilation.compiler.context);
+        compilation.fileDependencies.add(packageJsonPath);
+        const sourcePath = path.join(packageDir, external.fromPackage);
+        const relativePath = path.relative(packageDir, sourcePath);
+        if (relativePath === '' || relativePath.startsWith('..') || path.isAbsolute(relativePath)) {
+          throw new Error(`${PLUGIN_NAME}: the fromPackage (${external.fromPackage}) should be a file inside the package (${external.packageName})`);
+        }
+        const packageTag = { ...otherOptions, external, sourcePath };
+        const cdn = getTagOption(tag, options, 'cdn');
+        if (cdn) {
+          packageTag.path = getPackagePath(cdn, external, version);
+          packageTag.usePublicPath = false;
+        } else {
+          packageTag.outputPath = getPackagePath(outputPath, external, version);
+        }
+        return packageTag;
+      };
 
-      if (metas) {
-        metas.forEach(tag => {
-          if (isString(tag.sourcePath)) {
-            assetPromises.push(addAsset(tag.sourcePath));
+      const getInjectedTag = (tag, canHaveIntegrity = true) => {
+        return Promise.resolve().then(() => {
+          if (isPackageExternal(tag)) {
+            tag = getPackageTag(tag);
+            if (isDefined(tag.path)) {
+              return undefined;
+            }
           }
-        });
-      }
-
-      Promise.all(assetPromises).then(
-        () => {
-          if (callback) {
-            callback(null, htmlPluginData);
-          } else {
-            return Promise.resolve(htmlPluginData);
+          return isString(tag.sourcePath) ? addAsset(tag.sourcePath, tag.outputPath) : undefined;
+        }).then(assetName => {
+          if (isDefined(tag.outputPath)) {
+            tag = { ...tag, path: assetName };
           }
-        },
-        (err) => {
-          if (callback) {
-            callback(err);
-          } else {
-            return Promise.reject(err);
+          const hasPath = isDefined(tag.path);
+          const useContentHash = hasPath && getTagOption(tag, options, 'useHash') === HASH_CONTENT;
+          const integrityAlgorithms = canHaveIntegrity && getTagOption(tag, options, 'integrity');
+          const sourcePromise = useContentHash || integrityAlgorithms ? getTagSource(tag, assetName) : Promise.resolve();
+          return sourcePromise.then(source => {
+            const injectedTag = { tag };
+            if (hasPath) {
+              let hash = compilationHash;
+              if (useContentHash) {
+                if (!source) {
+                  throw new Error(`${PLUGIN_NAME}: could not find the file to compute the content hash of (${tag.path})`);
+                }
+                hash = getContentHash(source, compilation.outputOptions);
+              }
+              injectedTag.path = getTagPath(tag, options, pluginPublicPath, hash);
+            }
+            if (integrityAlgorithms) {
+              if (!source) {
+                throw new Error(`${PLUGIN_NAME}: could not find the asset to compute the integrity of (${tag.path})`);
+              }
+              injectedTag.integrity = getIntegrity(source, integrityAlgorithms);
+            }
+            return injectedTag;
+          });
+        }).then(injectedTag => {
+          if (!isDefined(tag.fallback) && !isDefined(tag.fallbackSourcePath)) {
+            return injectedTag;
           }
+          return getInjectedTag(getFallbackTag(tag), false).then(({ path }) => ({ ...injectedTag, fallback: path }));
+        });
+      };
+      // The content of inline tags replaces their placeholder tag in onAlterAssetTagGroups
+      const getInlineTag = tag => {
+        let contentPromise = Promise.resolve(tag.content);
+        if (!isDefined(tag.content)) {
+          const sourcePath = path.resolve(compilation.compiler.context, tag.sourcePath);
+          compilation.fileDependencies.add(sourcePath);
+          contentPromise = readFileAsync(sourcePath).then(source => source.toString(), () => {
+            throw new Error(`${PLUGIN_NAME}: could not read the inline sourcePath (${tag.sourcePath})`);
+          });
+        }
+        return contentPromise.then(content => ({ tag, path: getInlinePath(content), content }));
+      };
+      // sourcePath files smaller than the inlineThreshold are inlined instead of emitted, unless inline is false
+      const getInjectedScriptOrLink = tag => {
+        if (isInlineTag(tag)) {
+          return getInlineTag(tag);
+        }
+        const inlineThreshold = getTagOption(tag, options, 'inlineThreshold');
+        if (inlineThreshold > 0 && isString(tag.sourcePath) && tag.inline !== false) {
+          return statAsync(path.resolve(compilation.compiler.context, tag.sourcePath)).then(
+            ({ size }) => size < inlineThreshold ? getInlineTag(tag) : getInjectedTag(tag),
+            () => getInjectedTag(tag)
+          );
         }
-      );
+        return getInjectedTag(tag);
+      };
+      const getSharedEntry = ({ tag, path }) => ({ priority: getTagOption(tag, options, 'priority'), id: tag.id, dependsOn: tag.dependsOn, path });
+
+      const htmlPluginOptions = htmlPluginData.plugin ? htmlPluginData.plugin.options : undefined;
+
+      // With injectOnlyIfUsed, external scripts are left out of pages whose chunks never use them
+      let pageExternals;
+      const isTagUsed = tag => {
+        if (!isObject(tag.external) || !getTagOption(tag, options, 'injectOnlyIfUsed')) {
+          return true;
+        }
+        if (!pageExternals) {
+          pageExternals = getUsedExternals(getPageChunks(compilation, htmlPluginOptions), compilation.chunkGraph);
+        }
+        return pageExternals.has(tag.external.packageName);
+      };
+
+      // Tags with chunks or excludeChunks are only injected into the pages that include or do not include these entry chunks
+      let pageEntrypointNames;
+      const isTagForChunks = ({ chunks, excludeChunks }) => {
+        if (!isDefined(chunks) && !isDefined(excludeChunks)) {
+          return true;
+        }
+        if (!pageEntrypointNames) {
+          pageEntrypointNames = getPageEntrypointNames(compilation, htmlPluginOptions);
+        }
+        return (!isDefined(chunks) || pageEntrypointNames.some(name => chunks.includes(name))) &&
+          (!isDefined(excludeChunks) || !pageEntrypointNames.some(name => excludeChunks.includes(name)));
+      };
+
+      // Tags with a when function are only injected when it returns true for this compilation
+      const isTagForCompilation = ({ when }) => !isFunction(when) || !!when(compilation);
+
+      // Tags with their own files, chunks or excludeChunks options are left out of the other html-webpack-plugin outputs,
+      // so every later step only sees the tags of this output
+      const isTagInjected = tag => (!isDefined(tag.files) || isFilesMatch(tag.files, htmlPluginData)) && isTagForChunks(tag) &&
+        isTagForCompilation(tag) && isTagUsed(tag);
+
+      const injectedTagsPromise = Promise.all([
+        Promise.all(scriptsPrepend.filter(isTagInjected).map(getInjectedScriptOrLink)),
+        Promise.all(scriptsAppend.filter(isTagInjected).map(getInjectedScriptOrLink)),
+        Promise.all(linksPrepend.filter(isTagInjected).map(getInjectedScriptOrLink)),
+        Promise.all(linksAppend.filter(isTagInjected).map(getInjectedScriptOrLink)),
+        Promise.all((metas || []).filter(isTagInjected).map(tag => getInjectedTag(tag, false))),
+        Promise.all(scriptsImportMap.filter(isTagInjected).map(tag => getInjectedTag(tag))),
+        Promise.all((customTags || []).filter(isTagInjected).map(tag => getInjectedTag(tag, false)))
+      ]).then(([injectedScriptsPrepend, injectedScriptsAppend, injectedLinksPrepend, injectedLinksAppend, injectedMetas, injectedScriptsImportMap, injectedCustomTags]) => {
+        const injectedTags = {
+          scriptsPrepend: injectedScriptsPrepend,
+          scriptsAppend: injectedScriptsAppend,
+          scriptsImportMap: injectedScriptsImportMap,
+          linksPrepend: injectedLinksPrepend,
+          linksAppend: injectedLinksAppend,
+          metas: injectedMetas,
+          customTags: injectedCustomTags
+        };
+        injectedTagsByHtmlPlugin.set(htmlPluginData.plugin, injectedTags);
+
+        // The assets are sorted by priority and dependencies again with the paths of the other instances of this plugin
+        const sharedAssets = getSharedAssets(compilation, htmlPluginData.plugin);
+        getDependableTags(injectedTags).filter(({ id }) => isDefined(id)).forEach(({ id }) => sharedAssets.ids.add(id));
+        assets.js = getSharedSortedPaths(assets.js, sharedAssets, 'js',
+          injectedScriptsPrepend.map(getSharedEntry), injectedScriptsAppend.map(getSharedEntry));
+        assets.css = getSharedSortedPaths(assets.css, sharedAssets, 'css',
+          injectedLinksPrepend.filter(isStylesheetLink).map(getSharedEntry), injectedLinksAppend.filter(isStylesheetLink).map(getSharedEntry));
+      });
+
+      return injectedTagsPromise.then(() => htmlPluginData);
     };
 
-    const onAlterAssetTagGroups = (htmlPluginData, callback) => {
+    const onAlterAssetTagGroups = htmlPluginData => {
       if (shouldSkip(htmlPluginData)) {
-        if (callback) {
-          return callback(null, htmlPluginData);
-        } else {
-          return Promise.resolve(htmlPluginData);
-        }
+        return Promise.resolve(htmlPluginData);
+      }
+
+      const injectedTags = injectedTagsByHtmlPlugin.get(htmlPluginData.plugin);
+      if (!injectedTags) {
+        return Promise.resolve(htmlPluginData);
+      }
+
+      // Every instance of this plugin has added the ids of the tags of this output by now, so the missing dependencies can be reported
+      const { ids } = getSharedAssets(compilation, htmlPluginData.plugin);
+      const missingDependencyTag = getDependableTags(injectedTags).find(({ dependsOn = [] }) => dependsOn.some(dependency => !ids.has(dependency)));
+      if (missingDependencyTag) {
+        const { id, path, dependsOn } = missingDependencyTag;
+        const missingDependency = dependsOn.find(dependency => !ids.has(dependency));
+        const err = new Error(`${PLUGIN_NAME}: could not find the dependency (${missingDependency}) of the tag (${isDefined(id) ? id : path})`);
+        return Promise.reject(err);
       }
 
       const pluginHead = htmlPluginData.head ? htmlPluginData.head : htmlPluginData.headTags;
       const pluginBody = htmlPluginData.body ? htmlPluginData.body : htmlPluginData.bodyTags;
+      const pluginTags = pluginHead.concat(pluginBody);
 
       if (metas) {
-        const pluginPublicPath = savedAssetsPublicPath;
-        const compilationHash = compilation.hash;
-
-        const getMeta = tag => {
-          if (isDefined(tag.path)) {
+        const getMeta = ({ tag, path }) => {
+          if (isDefined(path)) {
             return {
               tagName: 'meta',
+              meta: { plugin: TAG_META_PLUGIN },
               attributes: {
-                content: getTagPath(tag, options, pluginPublicPath, compilationHash),
+                content: path,
                 ...tag.attributes
               }
             };
           } else {
             return {
               tagName: 'meta',
+              meta: { plugin: TAG_META_PLUGIN },
               attributes: tag.attributes
             };
           }
         };
-        pluginHead.push(...metas.map(getMeta));
+        pluginHead.push(...injectedTags.metas.map(getMeta));
+      }
+
+      if (customTags) {
+        const getCustomTag = ({ tag, path }) => {
+          const { tagName, innerHTML, voidTag = VOID_TAG_NAMES.includes(tagName), pathAttribute = DEFAULT_PATH_ATTRIBUTE } = tag;
+          return {
+            tagName,
+            voidTag,
+            meta: { plugin: TAG_META_PLUGIN },
+            attributes: {
+              ...(isDefined(path) ? { [pathAttribute]: path } : {}),
+              ...tag.attributes
+            },
+            innerHTML
+          };
+        };
+        [[INJECT_HEAD, pluginHead], [INJECT_BODY, pluginBody]].forEach(([inject, htmlTags]) => {
+          const injectedCustomTags = injectedTags.customTags.filter(({ tag }) => (isDefined(tag.inject) ? tag.inject : INJECT_HEAD) === inject);
+          htmlTags.unshift(...injectedCustomTags.filter(({ tag }) => !getTagOption(tag, options, 'append')).map(getCustomTag));
+          htmlTags.push(...injectedCustomTags.filter(({ tag }) => getTagOption(tag, options, 'append')).map(getCustomTag));
+        });
       }
 
-      const injectOption = htmlPluginData.plugin.options.inject;
-      const sourceScripts = injectOption === 'body' ? pluginBody : pluginHead;
+      const isTagsPluginTag = htmlTag => isObject(htmlTag.meta) && htmlTag.meta.plugin === TAG_META_PLUGIN;
 
-      const pluginLinks = pluginHead.filter(({ tagName }) => tagName === 'link');
-      const pluginScripts = sourceScripts.filter(({ tagName }) => tagName === 'script');
+      // Finds the html tag generated for each injected tag by its resolved path, ignoring tags that
+      // were already matched (by this or another instance of this plugin). Prepended tags are searched
+      // for from the start and appended tags from the end, so that duplicate paths are paired up in order.
+      const matchInjectedTags = (tagsToMatch, tagName, pathAttribute, fromEnd) => {
+        const candidates = pluginTags.filter(htmlTag => htmlTag.tagName === tagName && isObject(htmlTag.attributes));
+        if (fromEnd) {
+          candidates.reverse();
+        }
+        const matchedTags = [];
+        (fromEnd ? tagsToMatch.slice().reverse() : tagsToMatch).forEach(injectedTag => {
+          const htmlTag = candidates.find(candidate => !isTagsPluginTag(candidate) && candidate.attributes[pathAttribute] === injectedTag.path);
+          if (htmlTag) {
+            htmlTag.meta = { ...htmlTag.meta, plugin: TAG_META_PLUGIN };
+            matchedTags.push({ ...injectedTag, htmlTag });
+          }
+        });
+        return matchedTags;
+      };
 
-      const headPrepend = pluginLinks.slice(0, linksPrepend.length);
-      const headAppend = pluginLinks.slice(pluginLinks.length - linksAppend.length);
+      const matchedLinksPrepend = matchInjectedTags(injectedTags.linksPrepend, 'link', 'href', false);
+      const matchedLinksAppend = matchInjectedTags(injectedTags.linksAppend, 'link', 'href', true);
+      const matchedScriptsPrepend = matchInjectedTags(injectedTags.scriptsPrepend, 'script', 'src', false);
+      const matchedScriptsAppend = matchInjectedTags(injectedTags.scriptsAppend, 'script', 'src', true);
+      const matchedLinks = matchedLinksPrepend.concat(matchedLinksAppend);
+      const matchedScripts = matchedScriptsPrepend.concat(matchedScriptsAppend);
+
+      // Tags with another inject location are moved to that group, before the first or after the last tag with the same tagName.
+      // Prepended tags are moved last to first and appended tags (which were matched from the end) first to last to keep their order.
+      const moveInjectedTags = (matchedTags, isPrepend) => {
+        matchedTags.slice().reverse().forEach(({ tag, htmlTag }) => {
+          if (!isDefined(tag.inject)) {
+            return;
+          }
+          const fromTags = pluginHead.indexOf(htmlTag) !== -1 ? pluginHead : pluginBody;
+          const toTags = tag.inject === INJECT_HEAD ? pluginHead : pluginBody;
+          if (fromTags === toTags) {
+            return;
+          }
+          fromTags.splice(fromTags.indexOf(htmlTag), 1);
+          const isSameTagName = otherTag => otherTag.tagName === htmlTag.tagName;
+          let index;
+          if (isPrepend) {
+            index = toTags.findIndex(isSameTagName);
+            index = index === -1 ? toTags.length : index;
+          } else {
+            index = toTags.reduce((lastIndex, otherTag, otherIndex) => isSameTagName(otherTag) ? otherIndex : lastIndex, -1) + 1;
+            index = index === 0 ? toTags.length : index;
+          }
+          toTags.splice(index, 0, htmlTag);
+        });
+      };
+      moveInjectedTags(matchedLinksPrepend, true);
+      moveInjectedTags(matchedLinksAppend, false);
+      moveInjectedTags(matchedScriptsPrepend, true);
+      moveInjectedTags(matchedScriptsAppend, false);
+
+      // Tags with a before or after anchor are moved next to the first or last other tag whose path matches it.
+      // Tags with the same anchor keep their order, so those placed after it are moved last to first.
+      const moveAnchoredTag = ({ tag, htmlTag }) => {
+        const isBefore = isDefined(tag.before);
+        const anchor = isBefore ? tag.before : tag.after;
+        const isAnchorTag = otherTag => otherTag !== htmlTag && isObject(otherTag.attributes) &&
+          [otherTag.attributes.src, otherTag.attributes.href].some(otherPath => isString(otherPath) && isAnchorMatch(anchor, otherPath));
+        const anchorTags = pluginHead.concat(pluginBody).filter(isAnchorTag);
+        if (anchorTags.length === 0) {
+          throw new Error(`${PLUGIN_NAME}: could not find the ${isBefore ? 'before' : 'after'} anchor (${anchor}) of the tag (${tag.path || tag.sourcePath || htmlTag.tagName})`);
+        }
+        const fromTags = pluginHead.indexOf(htmlTag) !== -1 ? pluginHead : pluginBody;
+        fromTags.splice(fromTags.indexOf(htmlTag), 1);
+        const anchorTag = isBefore ? anchorTags[0] : anchorTags[anchorTags.length - 1];
+        const toTags = pluginHead.indexOf(anchorTag) !== -1 ? pluginHead : pluginBody;
+        toTags.splice(toTags.indexOf(anchorTag) + (isBefore ? 0 : 1), 0, htmlTag);
+      };
+      const matchedInOrder = matchedLinksPrepend.concat(matchedLinksAppend.slice().reverse(), matchedScriptsPrepend, matchedScriptsAppend.slice().reverse());
+      try {
+        matchedInOrder.filter(({ tag }) => isDefined(tag.before)).forEach(moveAnchoredTag);
+        matchedInOrder.filter(({ tag }) => isDefined(tag.after)).reverse().forEach(moveAnchoredTag);
+      } catch (err) {
+        return Promise.reject(err);
+      }
 
-      const bodyPrepend = pluginScripts.slice(0, scriptsPrepend.length);
-      const bodyAppend = pluginScripts.slice(pluginScripts.length - scriptsAppend.length);
+      // The placeholder tags of inline tags become <script> or <style> tags with their content,
+      // where </ is escaped so that a </script> or </style> in the content does not end the tag early
+      const inlineContent = matchedTags => {
+        matchedTags.forEach(({ htmlTag, content }) => {
+          if (!isDefined(content)) {
+            return;
+          }
+          if (htmlTag.tagName === 'link') {
+            htmlTag.tagName = 'style';
+            htmlTag.voidTag = false;
+            htmlTag.attributes = {};
+          } else {
+            const { src, defer, ...attributes } = htmlTag.attributes;
+            htmlTag.attributes = attributes;
+          }
+          htmlTag.innerHTML = content.replace(/<\//g, '<\\/');
+        });
+      };
 
-      const copyAttributes = (tags, tagObjects) => {
-        tags.forEach((tag, i) => {
-          const { attributes } = tagObjects[i];
+      const copyAttributes = matchedTags => {
+        matchedTags.forEach(({ htmlTag, tag, integrity }) => {
+          if (isDefined(integrity)) {
+            htmlTag.attributes.integrity = integrity;
+            htmlTag.attributes.crossorigin = 'anonymous';
+          }
+          const { attributes } = tag;
           if (attributes) {
-            const { attributes: tagAttributes } = tag;
+            const { attributes: tagAttributes } = htmlTag;
             Object.keys(attributes).forEach(attribute => {
               tagAttributes[attribute] = attributes[attribute];
             });
@@ -568,15 +1487,214 @@ HtmlWebpackTagsPlugin.prototype.apply = function (compiler) {
         });
       };
 
-      copyAttributes(headPrepend.concat(headAppend), linksPrepend.concat(linksAppend));
-      copyAttributes(bodyPrepend.concat(bodyAppend), scriptsPrepend.concat(scriptsAppend));
+      // The fallback check runs right after the external script, which has to be blocking for the check to work
+      matchedScripts.forEach(({ htmlTag, tag, fallback }) => {
+        if (isDefined(fallback)) {
+          const htmlTags = pluginHead.indexOf(htmlTag) !== -1 ? pluginHead : pluginBody;
+          htmlTag.attributes.defer = false;
+          htmlTags.splice(htmlTags.indexOf(htmlTag) + 1, 0, {
+            tagName: 'script',
+            voidTag: false,
+            meta: { plugin: TAG_META_PLUGIN },
+            attributes: {},
+            innerHTML: getFallbackScript(tag.external.variableName, fallback)
+          });
+        }
+      });
 
-      if (callback) {
-        callback(null, htmlPluginData);
-      } else {
-        return Promise.resolve(htmlPluginData);
+      inlineContent(matchedLinks);
+      inlineContent(matchedScripts);
+      copyAttributes(matchedLinks);
+      copyAttributes(matchedScripts);
+
+      // Prepended rel links go before the first link of the head and appended ones after the last
+      const getRelLinkTag = ({ tag, path, integrity }) => ({
+        tagName: 'link',
+        voidTag: true,
+        meta: { plugin: TAG_META_PLUGIN },
+        attributes: {
+          rel: tag.rel,
+          href: path,
+          ...(isDefined(integrity) ? { integrity, crossorigin: 'anonymous' } : {}),
+          ...tag.attributes
+        }
+      });
+      const isRelLinkTag = ({ tag }) => isRelLink(tag);
+      const isHeadLinkTag = htmlTag => htmlTag.tagName === 'link';
+      const firstLinkIndex = pluginHead.findIndex(isHeadLinkTag);
+      pluginHead.splice(firstLinkIndex === -1 ? pluginHead.length : firstLinkIndex, 0, ...injectedTags.linksPrepend.filter(isRelLinkTag).map(getRelLinkTag));
+      const lastLinkIndex = pluginHead.reduce((lastIndex, htmlTag, index) => isHeadLinkTag(htmlTag) ? index : lastIndex, -1);
+      pluginHead.splice(lastLinkIndex === -1 ? pluginHead.length : lastLinkIndex + 1, 0, ...injectedTags.linksAppend.filter(isRelLinkTag).map(getRelLinkTag));
+
+      if (injectedTags.scriptsImportMap.length > 0) {
+        // Only one import map is supported by browsers, so the imports are merged into one made by another instance of this plugin
+        let importMapTag = pluginHead.find(htmlTag => isTagsPluginTag(htmlTag) && htmlTag.tagName === 'script' && htmlTag.attributes.type === 'importmap');
+        const importMap = importMapTag ? JSON.parse(importMapTag.innerHTML) : { imports: {} };
+        const preloadTags = injectedTags.scriptsImportMap.map(({ tag, path, integrity }) => {
+          importMap.imports[tag.external.packageName] = path;
+          return {
+            tagName: 'link',
+            voidTag: true,
+            meta: { plugin: TAG_META_PLUGIN },
+            attributes: {
+              rel: 'modulepreload',
+              href: path,
+              ...(isDefined(integrity) ? { integrity, crossorigin: 'anonymous' } : {})
+            }
+          };
+        });
+        if (!importMapTag) {
+          importMapTag = {
+            tagName: 'script',
+            voidTag: false,
+            meta: { plugin: TAG_META_PLUGIN },
+            attributes: { type: 'importmap' }
+          };
+          pluginHead.unshift(importMapTag);
+        }
+        importMapTag.innerHTML = JSON.stringify(importMap);
+        const isImportMapTag = htmlTag => htmlTag === importMapTag || (isTagsPluginTag(htmlTag) && htmlTag.attributes.rel === 'modulepreload');
+        const lastImportMapIndex = pluginHead.reduce((lastIndex, htmlTag, index) => isImportMapTag(htmlTag) ? index : lastIndex, -1);
+        pluginHead.splice(lastImportMapIndex + 1, 0, ...preloadTags);
       }
+
+      const isHeadHintTag = htmlTag => isTagsPluginTag(htmlTag) &&
+        (htmlTag.attributes.type === 'importmap' || isResourceHint(htmlTag.attributes.rel) || htmlTag.attributes.rel === RESOURCE_HINT_DNS_PREFETCH);
+
+      // The origins already preconnected to by another instance of this plugin are skipped
+      const preconnectOrigins = new Set(pluginHead
+        .filter(htmlTag => isHeadHintTag(htmlTag) && htmlTag.attributes.rel === RESOURCE_HINT_PRECONNECT)
+        .map(htmlTag => htmlTag.attributes.href));
+
+      const getCrossorigin = ({ tag, integrity }) => isDefined(integrity) ? 'anonymous' : (tag.attributes && tag.attributes.crossorigin);
+
+      const getResourceHintTag = (injectedTag, isScript) => {
+        const { tag, path, content, integrity } = injectedTag;
+        const resourceHint = getTagOption(tag, options, 'resourceHint');
+        if (!resourceHint || isDefined(content)) {
+          return undefined;
+        }
+        const crossorigin = getCrossorigin(injectedTag);
+        const attributes = { rel: resourceHint };
+        if (resourceHint === RESOURCE_HINT_PRECONNECT) {
+          const origin = getOrigin(path);
+          if (!origin || preconnectOrigins.has(origin)) {
+            return undefined;
+          }
+          preconnectOrigins.add(origin);
+          attributes.href = origin;
+        } else {
+          attributes.href = path;
+          if (resourceHint !== RESOURCE_HINT_MODULEPRELOAD) {
+            attributes.as = getResourceHintAs(path, isScript);
+          }
+          if (isDefined(integrity)) {
+            attributes.integrity = integrity;
+          }
+        }
+        if (isDefined(crossorigin)) {
+          attributes.crossorigin = crossorigin;
+        } else if (attributes.as === RESOURCE_HINT_AS_FONT) {
+          // Fonts are always fetched in cors mode
+          attributes.crossorigin = 'anonymous';
+        }
+        if (!isScript && isHintOnlyLink(injectedTag)) {
+          Object.assign(attributes, tag.attributes);
+        }
+        return {
+          tagName: 'link',
+          voidTag: true,
+          meta: { plugin: TAG_META_PLUGIN },
+          attributes
+        };
+      };
+
+      const resourceHintTags = [
+        ...injectedTags.linksPrepend.map(injectedTag => getResourceHintTag(injectedTag, false)),
+        ...injectedTags.linksAppend.map(injectedTag => getResourceHintTag(injectedTag, false)),
+        ...injectedTags.scriptsPrepend.map(injectedTag => getResourceHintTag(injectedTag, true)),
+        ...injectedTags.scriptsAppend.map(injectedTag => getResourceHintTag(injectedTag, true))
+      ].filter(isDefined);
+
+      // The third-party origins of the tag paths with preconnect, crossorigin when any of their tags needs it (module scripts & fonts always do)
+      // and with a dns-prefetch when any of their tags has dnsPrefetch
+      const thirdPartyOrigins = new Map();
+      const addThirdPartyOrigin = (injectedTag, isCors) => {
+        if (!getTagOption(injectedTag.tag, options, 'preconnect') || isDefined(injectedTag.content)) {
+          return;
+        }
+        const origin = getOrigin(injectedTag.path);
+        if (!origin || preconnectOrigins.has(origin)) {
+          return;
+        }
+        const crossorigin = isCors ? 'anonymous' : getCrossorigin(injectedTag);
+        const originHints = thirdPartyOrigins.get(origin) || {};
+        thirdPartyOrigins.set(origin, {
+          crossorigin: isDefined(originHints.crossorigin) ? originHints.crossorigin : crossorigin,
+          dnsPrefetch: !!originHints.dnsPrefetch || getTagOption(injectedTag.tag, options, 'dnsPrefetch')
+        });
+      };
+      injectedTags.linksPrepend.concat(injectedTags.linksAppend)
+        .forEach(injectedTag => addThirdPartyOrigin(injectedTag, getResourceHintAs(injectedTag.path, false) === RESOURCE_HINT_AS_FONT));
+      injectedTags.scriptsPrepend.concat(injectedTags.scriptsAppend)
+        .forEach(injectedTag => addThirdPartyOrigin(injectedTag, false));
+      injectedTags.scriptsImportMap.forEach(injectedTag => addThirdPartyOrigin(injectedTag, true));
+      const preconnectTags = [];
+      thirdPartyOrigins.forEach(({ crossorigin }, origin) => {
+        preconnectTags.push({
+          tagName: 'link',
+          voidTag: true,
+          meta: { plugin: TAG_META_PLUGIN },
+          attributes: {
+            rel: RESOURCE_HINT_PRECONNECT,
+            href: origin,
+            ...(isDefined(crossorigin) ? { crossorigin } : {})
+          }
+        });
+      });
+      thirdPartyOrigins.forEach(({ dnsPrefetch }, origin) => {
+        if (dnsPrefetch) {
+          preconnectTags.push({
+            tagName: 'link',
+            voidTag: true,
+            meta: { plugin: TAG_META_PLUGIN },
+            attributes: { rel: RESOURCE_HINT_DNS_PREFETCH, href: origin }
+          });
+        }
+      });
+      resourceHintTags.unshift(...preconnectTags);
+
+      // Resource hints go at the start of the head, after the import map and the hints of other instances of this plugin
+      if (resourceHintTags.length > 0) {
+        const lastHeadHintIndex = pluginHead.reduce((lastIndex, htmlTag, index) => isHeadHintTag(htmlTag) ? index : lastIndex, -1);
+        pluginHead.splice(lastHeadHintIndex + 1, 0, ...resourceHintTags);
+      }
+
+      return Promise.resolve(htmlPluginData);
+    };
+
+    return { onBeforeHtmlGeneration, onAlterAssetTagGroups };
+  };
+
+  // Hook into the html-webpack-plugin processing
+  const onCompilation = compilation => {
+    // The options are resolved once per compilation, when html-webpack-plugin first calls this plugin
+    let handlersPromise;
+    const getHandlers = () => {
+      if (!handlersPromise) {
+        const optionsPromise = staticOptions ? Promise.resolve(staticOptions) : getCompilationOptions(userOptions, compilation, env);
+        handlersPromise = optionsPromise.then(options => getHtmlPluginHandlers(compilation, options));
+      }
+      return handlersPromise;
+    };
+    // The handlers return a promise, and anything they throw rejects it, so the callback is only called once
+    const getHandler = handlerName => (htmlPluginData, callback) => {
+      getHandlers()
+        .then(handlers => handlers[handlerName](htmlPluginData))
+        .then(result => callback(null, result), callback);
     };
+    const onBeforeHtmlGeneration = getHandler('onBeforeHtmlGeneration');
+    const onAlterAssetTagGroups = getHandler('onAlterAssetTagGroups');
 
     const HtmlWebpackPlugin = require(htmlPluginName);
     if (HtmlWebpackPlugin.getHooks) {
@@ -1,6 +1,7 @@
 /* eslint-env jasmine */
 const path = require('path');
 const fs = require('fs');
+const crypto = require('crypto');
 require('jasmine-expect');
 const { addMatchers } = require('add-matchers');
 
@@ -25,6 +26,7 @@ addMatchers(matchersByName);
 const cheerio = require('cheerio');
 const webpack = require('webpack');
 const rimraf = require('rimraf');
+const glob = require('glob');
 const MiniCssExtractPlugin = require('mini-css-extract-plugin');
 const CopyWebpackPlugin = require('copy-webpack-plugin');
 const HtmlWebpackPlugin = require('html-webpack-plugin');
@@ -618,6 +620,307 @@ function runTestsForHtmlVersion () {
         });
       });
 
+      describe('options.files RegExp & function', () => {
+        it('should include if the output name matches a RegExp', done => {
+          webpack(createWebpackConfig({
+            options: {
+              files: [/^fail/, /^index\.html$/],
+              tags: 'foobar.js',
+              publicPath: false
+            }
+          }), (err, result) => {
+            expect(err).toBeFalsy();
+            expect(getCompilationErrors(result)).toBe(EMPTY_ERRORS);
+            fs.readFile(FIXTURES_HTML_FILE, 'utf8', (er, data) => {
+              expect(er).toBeFalsy();
+              const $ = cheerio.load(data);
+              expect($('script').length).toBe(3);
+              expect($('script[src="foobar.js"]')).toBeTag({ tagName: 'script', attributes: { src: 'foobar.js' } });
+              done();
+            });
+          });
+        });
+
+        it('should include in every hook if the output name matches a global RegExp', done => {
+          webpack(createWebpackConfig({
+            options: {
+              files: /index\.html/g,
+              tags: 'foobar.js',
+              metas: { attributes: { name: 'foo' } },
+              publicPath: false
+            }
+          }), (err, result) => {
+            expect(err).toBeFalsy();
+            expect(getCompilationErrors(result)).toBe(EMPTY_ERRORS);
+            fs.readFile(FIXTURES_HTML_FILE, 'utf8', (er, data) => {
+              expect(er).toBeFalsy();
+              const $ = cheerio.load(data);
+              expect($('script[src="foobar.js"]')).toBeTag({ tagName: 'script', attributes: { src: 'foobar.js' } });
+              expect($('meta[name="foo"]')).toBeTag({ tagName: 'meta', attributes: { name: 'foo' } });
+              done();
+            });
+          });
+        });
+
+        it('should include only if the function returns true for the output name and html-webpack-plugin data', done => {
+          const files = jasmine.createSpy('files').and.callFake((outputName, htmlPluginData) => htmlPluginData.plugin.options.title === 'Admin');
+          webpack(createWebpackConfig({
+            htmlOptions: { title: 'Public' },
+            options: {
+              files,
+              tags: 'foobar.js',
+              publicPath: false
+            }
+          }), (err, result) => {
+            expect(err).toBeFalsy();
+            expect(getCompilationErrors(result)).toBe(EMPTY_ERRORS);
+            expect(files).toHaveBeenCalledWith('index.html', jasmine.objectContaining({ outputName: 'index.html' }));
+            fs.readFile(FIXTURES_HTML_FILE, 'utf8', (er, data) => {
+              expect(er).toBeFalsy();
+              const $ = cheerio.load(data);
+              expect($('script').length).toBe(2);
+              expect($('script[src="foobar.js"]').length).toBe(0);
+              done();
+            });
+          });
+        });
+      });
+
+      describe('options.scripts & options.links & options.metas files', () => {
+        it('should only inject the tags with a files option into the matching html files', done => {
+          const webpackConfig = createWebpackConfig({
+            options: {
+              scripts: ['a.js', { path: 'admin.js', files: 'admin.html', append: false }],
+              links: [{ path: 'admin.css', files: /^admin/ }, 'b.css'],
+              metas: { attributes: { name: 'admin' }, files: outputName => outputName === 'admin.html' },
+              publicPath: false
+            }
+          });
+          webpackConfig.plugins.splice(2, 0, new HtmlWebpackPlugin({ filename: 'admin.html' }));
+          webpack(webpackConfig, (err, result) => {
+            expect(err).toBeFalsy();
+            expect(getCompilationErrors(result)).toBe(EMPTY_ERRORS);
+            const getTagPaths = ($, selector) => $(selector).toArray().map(tag => tag.attribs.src || tag.attribs.href);
+            const $ = cheerio.load(fs.readFileSync(FIXTURES_HTML_FILE, 'utf8'));
+            expect(getTagPaths($, 'script')).toEqual(['app.js', 'style.js', 'a.js']);
+            expect(getTagPaths($, 'link')).toEqual(['style.css', 'b.css']);
+            expect($('meta[name="admin"]').length).toBe(0);
+            const $admin = cheerio.load(fs.readFileSync(path.join(FIXTURES_OUTPUT_DIR, 'admin.html'), 'utf8'));
+            expect(getTagPaths($admin, 'script')).toEqual(['admin.js', 'app.js', 'style.js', 'a.js']);
+            expect(getTagPaths($admin, 'link')).toEqual(['style.css', 'admin.css', 'b.css']);
+            expect($admin('meta[name="admin"]')).toBeTag({ tagName: 'meta', attributes: { name: 'admin' } });
+            done();
+          });
+        });
+      });
+
+      describe('options.scripts & options.links chunks & excludeChunks', () => {
+        it('should only inject the tags with chunks or excludeChunks into the html files including or not including these entry chunks', done => {
+          const webpackConfig = createWebpackConfig({
+            htmlOptions: { chunks: ['app'] },
+            options: {
+              scripts: ['a.js', { path: 'app-only.js', chunks: 'app' }, { path: 'style-only.js', chunks: ['style', 'other'] }],
+              links: { path: 'not-app.css', excludeChunks: ['app'] },
+              customTags: { tagName: 'base', attributes: { href: '/' }, chunks: 'style' },
+              publicPath: false
+            }
+          });
+          webpackConfig.plugins.splice(2, 0, new HtmlWebpackPlugin({ chunks: ['style'], filename: 'style.html' }));
+          webpack(webpackConfig, (err, result) => {
+            expect(err).toBeFalsy();
+            expect(getCompilationErrors(result)).toBe(EMPTY_ERRORS);
+            const getTagPaths = ($, selector) => $(selector).toArray().map(tag => tag.attribs.src || tag.attribs.href);
+            const $ = cheerio.load(fs.readFileSync(FIXTURES_HTML_FILE, 'utf8'));
+            expect(getTagPaths($, 'script')).toEqual(['app.js', 'a.js', 'app-only.js']);
+            expect(getTagPaths($, 'link')).toEqual([]);
+            expect($('base').length).toBe(0);
+            const $style = cheerio.load(fs.readFileSync(path.join(FIXTURES_OUTPUT_DIR, 'style.html'), 'utf8'));
+            expect(getTagPaths($style, 'script')).toEqual(['style.js', 'a.js', 'style-only.js']);
+            expect(getTagPaths($style, 'link')).toEqual(['style.css', 'not-app.css']);
+            expect($style('base')).toBeTag({ tagName: 'base', attributes: { href: '/' } });
+            done();
+          });
+        });
+      });
+
+      describe('options.env & tag when', () => {
+        const createEnvOptions = () => ({
+          scripts: [
+            'a.js',
+            { path: 'react.development.js', when: 'development' },
+            { path: 'react.production.min.js', when: 'production' },
+            { path: 'debug.js', when: compilation => compilation.options.mode === 'development' }
+          ],
+          env: {
+            development: { links: 'debug.css' },
+            production: { scripts: 'analytics.js', publicPath: 'cdn/' }
+          },
+          publicPath: false
+        });
+
+        it('should inject the tags and use the env options of the development mode', done => {
+          webpack({ ...createWebpackConfig({ options: createEnvOptions() }), mode: 'development' }, (err, result) => {
+            expect(err).toBeFalsy();
+            expect(getCompilationErrors(result)).toBe(EMPTY_ERRORS);
+            fs.readFile(FIXTURES_HTML_FILE, 'utf8', (er, data) => {
+              expect(er).toBeFalsy();
+              const $ = cheerio.load(data);
+              const getTagPaths = selector => $(selector).toArray().map(tag => tag.attribs.src || tag.attribs.href);
+              expect(getTagPaths('script')).toEqual(['app.js', 'style.js', 'a.js', 'react.development.js', 'debug.js']);
+              expect(getTagPaths('link')).toEqual(['style.css', 'debug.css']);
+              done();
+            });
+          });
+        });
+
+        it('should inject the tags and use the env options of the production mode', done => {
+          webpack({ ...createWebpackConfig({ options: createEnvOptions() }), mode: 'production' }, (err, result) => {
+            expect(err).toBeFalsy();
+            expect(getCompilationErrors(result)).toBe(EMPTY_ERRORS);
+            fs.readFile(FIXTURES_HTML_FILE, 'utf8', (er, data) => {
+              expect(er).toBeFalsy();
+              const $ = cheerio.load(data);
+              const getTagPaths = selector => $(selector).toArray().map(tag => tag.attribs.src || tag.attribs.href);
+              expect(getTagPaths('script')).toEqual(['app.js', 'style.js', 'cdn/a.js', 'cdn/react.production.min.js', 'cdn/analytics.js']);
+              expect(getTagPaths('link')).toEqual(['style.css']);
+              done();
+            });
+          });
+        });
+
+        it('should validate the options of the main options and of every env once', done => {
+          spyOn(glob, 'sync').and.callThrough();
+          const webpackConfig = createWebpackConfig({
+            copyOptions: [{ from: 'spec/fixtures/g*', to: 'assets/[name].[ext]' }],
+            options: {
+              scripts: { path: 'assets/', globPath: 'spec/fixtures/', glob: 'glob-a.js' },
+              env: { development: { links: 'debug.css' } },
+              publicPath: false
+            }
+          });
+          expect(glob.sync).toHaveBeenCalledTimes(2);
+          webpack({ ...webpackConfig, mode: 'development' }, (err, result) => {
+            expect(err).toBeFalsy();
+            expect(getCompilationErrors(result)).toBe(EMPTY_ERRORS);
+            expect(glob.sync).toHaveBeenCalledTimes(2);
+            const $ = cheerio.load(fs.readFileSync(FIXTURES_HTML_FILE, 'utf8'));
+            const getTagPaths = selector => $(selector).toArray().map(tag => tag.attribs.src || tag.attribs.href);
+            expect(getTagPaths('script')).toEqual(['app.js', 'style.js', 'assets/glob-a.js']);
+            expect(getTagPaths('link')).toEqual(['style.css', 'debug.css']);
+            done();
+          });
+        });
+
+        it('should allow the tags of different modes to share an id and be depended on', done => {
+          const createIdOptions = () => ({
+            scripts: [
+              { path: 'react-dom.js', dependsOn: 'react' },
+              { path: 'react.development.js', id: 'react', when: 'development' },
+              { path: 'react.production.min.js', id: 'react', when: 'production' },
+              { path: 'redux.production.min.js', id: 'redux', when: 'production' },
+              { path: 'react-redux.js', dependsOn: 'redux' }
+            ],
+            env: {
+              development: { scripts: { path: 'redux.development.js', id: 'redux' } }
+            },
+            publicPath: false
+          });
+          webpack({ ...createWebpackConfig({ options: createIdOptions() }), mode: 'development' }, (err, result) => {
+            expect(err).toBeFalsy();
+            expect(getCompilationErrors(result)).toBe(EMPTY_ERRORS);
+            const $ = cheerio.load(fs.readFileSync(FIXTURES_HTML_FILE, 'utf8'));
+            const getTagPaths = selector => $(selector).toArray().map(tag => tag.attribs.src || tag.attribs.href);
+            expect(getTagPaths('script')).toEqual(['app.js', 'style.js', 'react.development.js', 'react-dom.js', 'redux.development.js', 'react-redux.js']);
+            webpack({ ...createWebpackConfig({ options: createIdOptions() }), mode: 'production' }, (err, result) => {
+              expect(err).toBeFalsy();
+              expect(getCompilationErrors(result)).toBe(EMPTY_ERRORS);
+              const $ = cheerio.load(fs.readFileSync(FIXTURES_HTML_FILE, 'utf8'));
+              const getTagPaths = selector => $(selector).toArray().map(tag => tag.attribs.src || tag.attribs.href);
+              expect(getTagPaths('script')).toEqual(['app.js', 'style.js', 'react.production.min.js', 'react-dom.js', 'redux.production.min.js', 'react-redux.js']);
+              done();
+            });
+          });
+        });
+      });
+
+      describe('options function', () => {
+        it('should inject the tags of the options returned by the function for the compilation', done => {
+          const optionsFunction = jasmine.createSpy('options').and.callFake(() => Promise.resolve({
+            scripts: ['a.js'],
+            links: { path: 'a.css', append: false },
+            publicPath: false
+          }));
+          webpack(createWebpackConfig({ options: optionsFunction }), (err, result) => {
+            expect(err).toBeFalsy();
+            expect(getCompilationErrors(result)).toBe(EMPTY_ERRORS);
+            expect(optionsFunction).toHaveBeenCalledTimes(1);
+            expect(optionsFunction).toHaveBeenCalledWith(result.compilation);
+            fs.readFile(FIXTURES_HTML_FILE, 'utf8', (er, data) => {
+              expect(er).toBeFalsy();
+              const $ = cheerio.load(data);
+              const getTagPaths = selector => $(selector).toArray().map(tag => tag.attribs.src || tag.attribs.href);
+              expect(getTagPaths('script')).toEqual(['app.js', 'style.js', 'a.js']);
+              expect(getTagPaths('link')).toEqual(['a.css', 'style.css']);
+              done();
+            });
+          });
+        });
+
+        it('should call the function again for every run of the compiler when the html-webpack-plugin cache is false', done => {
+          let runCount = 0;
+          const optionsFunction = jasmine.createSpy('options').and.callFake(() => ({ scripts: `run-${++runCount}.js`, publicPath: false }));
+          const compiler = webpack(createWebpackConfig({ htmlOptions: { cache: false }, options: optionsFunction }));
+          compiler.run(err => {
+            expect(err).toBeFalsy();
+            compiler.run((err, result) => {
+              expect(err).toBeFalsy();
+              expect(getCompilationErrors(result)).toBe(EMPTY_ERRORS);
+              expect(optionsFunction).toHaveBeenCalledTimes(2);
+              const $ = cheerio.load(fs.readFileSync(FIXTURES_HTML_FILE, 'utf8'));
+              expect($('script[src="run-1.js"]').length).toBe(0);
+              expect($('script[src="run-2.js"]').length).toBe(1);
+              compiler.close(() => done());
+            });
+          });
+        });
+
+        it('should output an error when the options returned by the function are invalid', done => {
+          webpack(createWebpackConfig({ options: () => ({ scripts: 'a.js', append: 'true' }) }), (err, result) => {
+            expect(err).toBeFalsy();
+            expect(hasCompilationErrorText(result, 'append should be a boolean')).toBe(true);
+            done();
+          });
+        });
+
+        it('should output an error when the options returned by the function have an external that is not in the webpack externals', done => {
+          webpack({
+            ...createWebpackConfig({ options: () => ({ scripts: { path: 'a.js', external: { packageName: 'a', variableName: 'A' } } }) }),
+            externals: [{ b: 'B' }, /^c$/]
+          }, (err, result) => {
+            expect(err).toBeFalsy();
+            expect(hasCompilationErrorText(result, 'returned by a function')).toBe(true);
+            expect(hasCompilationErrorText(result, '(a)')).toBe(true);
+            done();
+          });
+        });
+
+        it('should output an error when the options returned by the function have an htmlPluginName', done => {
+          webpack(createWebpackConfig({ options: () => ({ scripts: 'a.js', htmlPluginName: 'html-webpack-plugin' }) }), (err, result) => {
+            expect(err).toBeFalsy();
+            expect(hasCompilationErrorText(result, 'htmlPluginName')).toBe(true);
+            done();
+          });
+        });
+
+        it('should output an error when the function rejects', done => {
+          webpack(createWebpackConfig({ options: () => Promise.reject(new Error('no manifest')) }), (err, result) => {
+            expect(err).toBeFalsy();
+            expect(hasCompilationErrorText(result, 'no manifest')).toBe(true);
+            done();
+          });
+        });
+      });
+
       describe('options.jsExtensions', () => {
         it('should include all js type files when multiple jsExtensions are specified', done => {
           webpack(createWebpackConfig({
@@ -1104,48 +1407,879 @@ function runTestsForHtmlVersion () {
             });
           });
         });
+
+        describe('content', () => {
+          const getContentHash = (filePath, { hashFunction, hashDigest, hashDigestLength }) => {
+            const hash = webpack.util.createHash(hashFunction);
+            hash.update(fs.readFileSync(filePath));
+            return hash.digest(hashDigest).slice(0, hashDigestLength);
+          };
+
+          it('should inject the content hash of the sourcePath file when hash is content', done => {
+            webpack(createWebpackConfig({
+              options: {
+                scripts: { path: 'glob-a.js', sourcePath: 'spec/fixtures/glob-a.js' },
+                links: { path: 'astyle.css', sourcePath: 'spec/fixtures/astyle.css' },
+                hash: 'content',
+                publicPath: false
+              }
+            }), (err, result) => {
+              expect(err).toBeFalsy();
+              expect(getCompilationErrors(result)).toBe(EMPTY_ERRORS);
+              const { outputOptions } = result.compilation;
+              const jsHash = getContentHash(path.join(FIXTURES_PATH, 'glob-a.js'), outputOptions);
+              const cssHash = getContentHash(path.join(FIXTURES_PATH, 'astyle.css'), outputOptions);
+              expect(jsHash).not.toBe(cssHash);
+              fs.readFile(FIXTURES_HTML_FILE, 'utf8', (er, data) => {
+                expect(er).toBeFalsy();
+                const $ = cheerio.load(data);
+                expect($('script[src^="glob-a.js"]')).toBeTag({ tagName: 'script', attributes: { src: 'glob-a.js?' + jsHash } });
+                expect($('link[href^="astyle.css"]')).toBeTag({ tagName: 'link', attributes: { href: 'astyle.css?' + cssHash } });
+                done();
+              });
+            });
+          });
+
+          it('should inject the content hash of a compilation asset with a custom addHash when useHash is content', done => {
+            const addHash = (assetPath, hash) => assetPath.replace(/\.js$/, '.' + hash + '.js');
+            webpack(createWebpackConfig({
+              webpackPublicPath: 'myPublic/',
+              copyOptions: [{ from: 'spec/fixtures/glob-b.js', to: 'assets/[name][ext]' }],
+              options: {
+                scripts: { path: 'assets/glob-b.js' },
+                useHash: 'content',
+                addHash
+              }
+            }), (err, result) => {
+              expect(err).toBeFalsy();
+              expect(getCompilationErrors(result)).toBe(EMPTY_ERRORS);
+              const theHash = getContentHash(path.join(FIXTURES_PATH, 'glob-b.js'), result.compilation.outputOptions);
+              fs.readFile(FIXTURES_HTML_FILE, 'utf8', (er, data) => {
+                expect(er).toBeFalsy();
+                const $ = cheerio.load(data);
+                expect($('script[src^="myPublic/assets/glob-b"]')).toBeTag({ tagName: 'script', attributes: { src: 'myPublic/assets/glob-b.' + theHash + '.js' } });
+                done();
+              });
+            });
+          });
+
+          it('should inject the content hash of a file on disk using the webpack output hash options', done => {
+            const config = createWebpackConfig({
+              options: {
+                links: [{ path: 'spec/fixtures/exclude.css', hash: 'content' }, 'foobar.css'],
+                publicPath: false
+              }
+            });
+            config.output.hashFunction = 'sha256';
+            config.output.hashDigest = 'base64url';
+            config.output.hashDigestLength = 8;
+            webpack(config, (err, result) => {
+              expect(err).toBeFalsy();
+              expect(getCompilationErrors(result)).toBe(EMPTY_ERRORS);
+              const theHash = getContentHash(path.join(FIXTURES_PATH, 'exclude.css'), { hashFunction: 'sha256', hashDigest: 'base64url', hashDigestLength: 8 });
+              expect(theHash.length).toBe(8);
+              fs.readFile(FIXTURES_HTML_FILE, 'utf8', (er, data) => {
+                expect(er).toBeFalsy();
+                const $ = cheerio.load(data);
+                expect($('link[href^="spec/fixtures/exclude.css"]')).toBeTag({ tagName: 'link', attributes: { href: 'spec/fixtures/exclude.css?' + theHash } });
+                expect($('link[href^="foobar.css"]')).toBeTag({ tagName: 'link', attributes: { href: 'foobar.css' } });
+                done();
+              });
+            });
+          });
+
+          it('should report a compilation error when there is no file to compute the content hash from', done => {
+            webpack(createWebpackConfig({
+              options: {
+                scripts: 'foobar.js',
+                hash: 'content'
+              }
+            }), (err, result) => {
+              expect(err).toBeFalsy();
+              expect(hasCompilationErrorText(result, 'could not find the file')).toBe(true);
+              expect(hasCompilationErrorText(result, 'foobar.js')).toBe(true);
+              done();
+            });
+          });
+        });
+      });
+    });
+
+    runTestsForOption({ optionName: 'tags', optionTag: 'link' }, createWebpackConfig);
+    // runTestsForOption({ optionName: 'tags', optionTag: 'script' }, createWebpackConfig);
+    if (RUN_ALL_TESTS) {
+      // runTestsForOption({ optionName: 'links', optionTag: 'link' }, createWebpackConfig);
+      // runTestsForOption({ optionName: 'scripts', optionTag: 'script' }, createWebpackConfig);
+    }
+
+    describe('options.tags', () => {
+      it('should include a mixture of js and css files', done => {
+        webpack(createWebpackConfig({
+          options: {
+            tags: [
+              'foo.js',
+              'foo.css',
+              { path: 'baz', type: 'css' },
+              { path: 'bar.js' },
+              'bar.css',
+              { path: 'qux', type: 'js' }
+            ],
+            append: true,
+            publicPath: false
+          }
+        }), (err, result) => {
+          expect(err).toBeFalsy();
+          expect(getCompilationErrors(result)).toBe(EMPTY_ERRORS);
+          fs.readFile(FIXTURES_HTML_FILE, 'utf8', (er, data) => {
+            expect(er).toBeFalsy();
+            const $ = cheerio.load(data);
+            expect($('script').length).toBe(5);
+            expect($('link').length).toBe(4);
+            expect($('script[src="style.js"]')).toBeTag({ tagName: 'script', attributes: { src: 'style.js' } });
+            expect($('script[src="app.js"]')).toBeTag({ tagName: 'script', attributes: { src: 'app.js' } });
+            expect($('link[href="style.css"]')).toBeTag({ tagName: 'link', attributes: { href: 'style.css', rel: 'stylesheet' } });
+            expect($('script[src="foo.js"]')).toBeTag({ tagName: 'script', attributes: { src: 'foo.js' } });
+            expect($('script[src="bar.js"]')).toBeTag({ tagName: 'script', attributes: { src: 'bar.js' } });
+            expect($('script[src="qux"]')).toBeTag({ tagName: 'script', attributes: { src: 'qux' } });
+            expect($('link[href="foo.css"]')).toBeTag({ tagName: 'link', attributes: { href: 'foo.css', rel: 'stylesheet' } });
+            expect($('link[href="bar.css"]')).toBeTag({ tagName: 'link', attributes: { href: 'bar.css', rel: 'stylesheet' } });
+            expect($('link[href="baz"]')).toBeTag({ tagName: 'link', attributes: { href: 'baz', rel: 'stylesheet' } });
+            done();
+          });
+        });
+      });
+    });
+
+    describe('options.integrity', () => {
+      const getIntegrity = (filePath, algorithm) => `${algorithm}-${crypto.createHash(algorithm).update(fs.readFileSync(filePath)).digest('base64')}`;
+
+      it('should add the integrity and crossorigin attributes for a sourcePath tag', done => {
+        webpack(createWebpackConfig({
+          options: {
+            scripts: { path: 'glob-a.js', sourcePath: 'spec/fixtures/glob-a.js' },
+            links: { path: 'glob-a.css', sourcePath: 'spec/fixtures/glob-a.css' },
+            integrity: true,
+            publicPath: false
+          }
+        }), (err, result) => {
+          expect(err).toBeFalsy();
+          expect(getCompilationErrors(result)).toBe(EMPTY_ERRORS);
+          fs.readFile(FIXTURES_HTML_FILE, 'utf8', (er, data) => {
+            expect(er).toBeFalsy();
+            const $ = cheerio.load(data);
+            expect($('script[src="glob-a.js"]')).toBeTag({
+              tagName: 'script',
+              attributes: { src: 'glob-a.js', integrity: getIntegrity(path.join(FIXTURES_PATH, 'glob-a.js'), 'sha384'), crossorigin: 'anonymous' }
+            });
+            expect($('link[href="glob-a.css"]')).toBeTag({
+              tagName: 'link',
+              attributes: { href: 'glob-a.css', integrity: getIntegrity(path.join(FIXTURES_PATH, 'glob-a.css'), 'sha384'), crossorigin: 'anonymous' }
+            });
+            expect($('script[src="app.js"]').attr('integrity')).toBeUndefined();
+            done();
+          });
+        });
+      });
+
+      it('should add the integrity for a tag that matches a compilation asset using the tag algorithms', done => {
+        webpack(createWebpackConfig({
+          copyOptions: [{ from: 'spec/fixtures/glob-b.js', to: 'assets/[name][ext]' }],
+          options: {
+            scripts: { path: 'assets/glob-b.js', integrity: ['sha256', 'sha512'] },
+            hash: true,
+            publicPath: false
+          }
+        }), (err, result) => {
+          expect(err).toBeFalsy();
+          expect(getCompilationErrors(result)).toBe(EMPTY_ERRORS);
+          fs.readFile(FIXTURES_HTML_FILE, 'utf8', (er, data) => {
+            expect(er).toBeFalsy();
+            const $ = cheerio.load(data);
+            const filePath = path.join(FIXTURES_PATH, 'glob-b.js');
+            expect($('script[src^="assets/glob-b.js"]')).toBeTag({
+              tagName: 'script',
+              attributes: { integrity: `${getIntegrity(filePath, 'sha256')} ${getIntegrity(filePath, 'sha512')}`, crossorigin: 'anonymous' }
+            });
+            done();
+          });
+        });
+      });
+
+      it('should let the tag attributes override the crossorigin attribute', done => {
+        webpack(createWebpackConfig({
+          options: {
+            scripts: { path: 'glob-a.js', sourcePath: 'spec/fixtures/glob-a.js', attributes: { crossorigin: 'use-credentials' } },
+            integrity: 'sha512',
+            publicPath: false
+          }
+        }), (err, result) => {
+          expect(err).toBeFalsy();
+          expect(getCompilationErrors(result)).toBe(EMPTY_ERRORS);
+          fs.readFile(FIXTURES_HTML_FILE, 'utf8', (er, data) => {
+            expect(er).toBeFalsy();
+            const $ = cheerio.load(data);
+            expect($('script[src="glob-a.js"]')).toBeTag({
+              tagName: 'script',
+              attributes: { integrity: getIntegrity(path.join(FIXTURES_PATH, 'glob-a.js'), 'sha512'), crossorigin: 'use-credentials' }
+            });
+            done();
+          });
+        });
+      });
+
+      it('should not add the integrity when the tag integrity is false', done => {
+        webpack(createWebpackConfig({
+          options: {
+            scripts: { path: 'foobar.js', integrity: false },
+            integrity: true,
+            publicPath: false
+          }
+        }), (err, result) => {
+          expect(err).toBeFalsy();
+          expect(getCompilationErrors(result)).toBe(EMPTY_ERRORS);
+          fs.readFile(FIXTURES_HTML_FILE, 'utf8', (er, data) => {
+            expect(er).toBeFalsy();
+            const $ = cheerio.load(data);
+            expect($('script[src="foobar.js"]').attr('integrity')).toBeUndefined();
+            done();
+          });
+        });
+      });
+
+      it('should report a compilation error when there is no asset to compute the integrity from', done => {
+        webpack(createWebpackConfig({
+          options: {
+            scripts: 'foobar.js',
+            integrity: true
+          }
+        }), (err, result) => {
+          expect(err).toBeFalsy();
+          expect(hasCompilationErrorText(result, 'could not find the asset')).toBe(true);
+          expect(hasCompilationErrorText(result, 'foobar.js')).toBe(true);
+          done();
+        });
+      });
+    });
+
+    describe('options.scripts & options.links outputPath', () => {
+      const getContentHash = (filePath, { hashFunction, hashDigest, hashDigestLength }) => {
+        const hash = webpack.util.createHash(hashFunction);
+        hash.update(fs.readFileSync(filePath));
+        return hash.digest(hashDigest).slice(0, hashDigestLength);
+      };
+
+      it('should emit the sourcePath assets to the outputPath and inject the emitted paths', done => {
+        webpack(createWebpackConfig({
+          webpackPublicPath: 'myPublic/',
+          options: {
+            scripts: [
+              { sourcePath: 'spec/fixtures/a-dir/file-a.js', outputPath: '[path][name][ext]' },
+              { sourcePath: 'spec/fixtures/glob-a.js', outputPath: 'assets/[name][ext]' }
+            ],
+            links: { sourcePath: 'spec/fixtures/astyle.css', outputPath: 'css/[name].[contenthash:8][ext]' }
+          }
+        }), (err, result) => {
+          expect(err).toBeFalsy();
+          expect(getCompilationErrors(result)).toBe(EMPTY_ERRORS);
+          const cssHash = getContentHash(path.join(FIXTURES_PATH, 'astyle.css'), result.compilation.outputOptions).slice(0, 8);
+          expect(fs.existsSync(path.join(FIXTURES_OUTPUT_DIR, 'spec/fixtures/a-dir/file-a.js'))).toBe(true);
+          expect(fs.existsSync(path.join(FIXTURES_OUTPUT_DIR, 'assets/glob-a.js'))).toBe(true);
+          expect(fs.existsSync(path.join(FIXTURES_OUTPUT_DIR, `css/astyle.${cssHash}.css`))).toBe(true);
+          expect(result.compilation.getAsset(`css/astyle.${cssHash}.css`).info.immutable).toBe(true);
+          fs.readFile(FIXTURES_HTML_FILE, 'utf8', (er, data) => {
+            expect(er).toBeFalsy();
+            const $ = cheerio.load(data);
+            expect($('script').length).toBe(4);
+            expect($('link').length).toBe(2);
+            expect($('script[src="myPublic/spec/fixtures/a-dir/file-a.js"]')).toBeTag({ tagName: 'script', attributes: { src: 'myPublic/spec/fixtures/a-dir/file-a.js' } });
+            expect($('script[src="myPublic/assets/glob-a.js"]')).toBeTag({ tagName: 'script', attributes: { src: 'myPublic/assets/glob-a.js' } });
+            expect($(`link[href="myPublic/css/astyle.${cssHash}.css"]`)).toBeTag({ tagName: 'link', attributes: { href: `myPublic/css/astyle.${cssHash}.css`, rel: 'stylesheet' } });
+            done();
+          });
+        });
+      });
+
+      it('should emit files with the same name from different directories without collisions', done => {
+        webpack(createWebpackConfig({
+          options: {
+            links: [
+              { sourcePath: 'spec/fixtures/astyle.css', outputPath: '[path][name][ext]' },
+              { sourcePath: 'spec/fixtures/a-dir/file-a.css', outputPath: '[path]astyle[ext]' }
+            ],
+            publicPath: false
+          }
+        }), (err, result) => {
+          expect(err).toBeFalsy();
+          expect(getCompilationErrors(result)).toBe(EMPTY_ERRORS);
+          fs.readFile(FIXTURES_HTML_FILE, 'utf8', (er, data) => {
+            expect(er).toBeFalsy();
+            const $ = cheerio.load(data);
+            expect($('link').length).toBe(3);
+            expect($('link[href="spec/fixtures/astyle.css"]')).toBeTag({ tagName: 'link', attributes: { href: 'spec/fixtures/astyle.css' } });
+            expect($('link[href="spec/fixtures/a-dir/astyle.css"]')).toBeTag({ tagName: 'link', attributes: { href: 'spec/fixtures/a-dir/astyle.css' } });
+            expect(fs.readFileSync(path.join(FIXTURES_OUTPUT_DIR, 'spec/fixtures/astyle.css'), 'utf8')).toBe(fs.readFileSync(path.join(FIXTURES_PATH, 'astyle.css'), 'utf8'));
+            expect(fs.readFileSync(path.join(FIXTURES_OUTPUT_DIR, 'spec/fixtures/a-dir/astyle.css'), 'utf8')).toBe('');
+            done();
+          });
+        });
+      });
+
+      it('should determine the tags asset type from the sourcePath when outputPath is used', done => {
+        webpack(createWebpackConfig({
+          options: {
+            tags: [
+              { sourcePath: 'spec/fixtures/glob-b.js', outputPath: '[name].[contenthash][ext]', hash: true },
+              { sourcePath: 'spec/fixtures/glob-b.css', outputPath: '[name].[contenthash][ext]' }
+            ],
+            publicPath: false
+          }
+        }), (err, result) => {
+          expect(err).toBeFalsy();
+          expect(getCompilationErrors(result)).toBe(EMPTY_ERRORS);
+          const { outputOptions, hash } = result.compilation;
+          const jsHash = getContentHash(path.join(FIXTURES_PATH, 'glob-b.js'), outputOptions);
+          const cssHash = getContentHash(path.join(FIXTURES_PATH, 'glob-b.css'), outputOptions);
+          fs.readFile(FIXTURES_HTML_FILE, 'utf8', (er, data) => {
+            expect(er).toBeFalsy();
+            const $ = cheerio.load(data);
+            expect($('script[src^="glob-b."]')).toBeTag({ tagName: 'script', attributes: { src: `glob-b.${jsHash}.js?${hash}` } });
+            expect($('link[href^="glob-b."]')).toBeTag({ tagName: 'link', attributes: { href: `glob-b.${cssHash}.css` } });
+            done();
+          });
+        });
+      });
+    });
+
+    describe('options.scripts & options.links inline', () => {
+      it('should escape the closing tags in the content of inline tags', done => {
+        webpack(createWebpackConfig({
+          options: {
+            scripts: { content: 'window.html = "</script><b>bold</b>";' },
+            links: { content: 'a::after { content: "</style>"; }' }
+          }
+        }), (err, result) => {
+          expect(err).toBeFalsy();
+          expect(getCompilationErrors(result)).toBe(EMPTY_ERRORS);
+          fs.readFile(FIXTURES_HTML_FILE, 'utf8', (er, data) => {
+            expect(er).toBeFalsy();
+            const $ = cheerio.load(data);
+            expect($('script').last().html()).toBe('window.html = "<\\/script><b>bold<\\/b>";');
+            expect($('style').html()).toBe('a::after { content: "<\\/style>"; }');
+            expect($('b').length).toBe(0);
+            done();
+          });
+        });
+      });
+
+      it('should inject inline script and style tags in the place of the tag paths', done => {
+        webpack(createWebpackConfig({
+          webpackPublicPath: 'myPublic/',
+          options: {
+            scripts: [
+              { content: 'window.config = { a: 1 };', append: false, attributes: { id: 'config' } },
+              'b.js',
+              { content: 'console.log("appended");' }
+            ],
+            links: [
+              { sourcePath: 'spec/fixtures/astyle.css', inline: true, append: false, attributes: { media: 'print' } },
+              'b.css'
+            ],
+            hash: true
+          }
+        }), (err, result) => {
+          expect(err).toBeFalsy();
+          expect(getCompilationErrors(result)).toBe(EMPTY_ERRORS);
+          expect(fs.existsSync(path.join(FIXTURES_OUTPUT_DIR, 'astyle.css'))).toBe(false);
+          fs.readFile(FIXTURES_HTML_FILE, 'utf8', (er, data) => {
+            expect(er).toBeFalsy();
+            const $ = cheerio.load(data);
+            const scripts = $('script').toArray();
+            expect(scripts.length).toBe(5);
+            expect($(scripts[0])).toBeTag({ tagName: 'script', attributes: { id: 'config' } });
+            expect($(scripts[0]).attr('src')).toBeUndefined();
+            expect($(scripts[0]).attr('defer')).toBeUndefined();
+            expect($(scripts[0]).html()).toBe('window.config = { a: 1 };');
+            expect($(scripts[3]).attr('src')).toBe(`myPublic/b.js?${result.compilation.hash}`);
+            expect($(scripts[4]).attr('src')).toBeUndefined();
+            expect($(scripts[4]).html()).toBe('console.log("appended");');
+            expect($('link').length).toBe(2);
+            const style = $('style');
+            expect(style.length).toBe(1);
+            expect(style.attr('media')).toBe('print');
+            expect(style.attr('href')).toBeUndefined();
+            expect(style.html()).toBe(fs.readFileSync(path.join(FIXTURES_PATH, 'astyle.css'), 'utf8'));
+            expect(style.next()).toBeTag({ tagName: 'link', attributes: { href: 'myPublic/style.css' } });
+            done();
+          });
+        });
+      });
+
+      it('should inline the sourcePath files smaller than the inlineThreshold', done => {
+        webpack(createWebpackConfig({
+          options: {
+            inlineThreshold: 30,
+            links: [
+              { sourcePath: 'spec/fixtures/astyle.css', outputPath: '[name][ext]' },
+              { sourcePath: 'spec/fixtures/exclude.css', outputPath: '[name][ext]' },
+              { sourcePath: 'spec/fixtures/glob.css', outputPath: '[name][ext]', inline: false }
+            ],
+            scripts: [
+              { path: 'glob-a.js', sourcePath: 'spec/fixtures/glob-a.js', inlineThreshold: 0 },
+              { path: 'glob-b.js', sourcePath: 'spec/fixtures/glob-b.js' }
+            ],
+            publicPath: false
+          }
+        }), (err, result) => {
+          expect(err).toBeFalsy();
+          expect(getCompilationErrors(result)).toBe(EMPTY_ERRORS);
+          expect(fs.existsSync(path.join(FIXTURES_OUTPUT_DIR, 'astyle.css'))).toBe(false);
+          expect(fs.existsSync(path.join(FIXTURES_OUTPUT_DIR, 'exclude.css'))).toBe(true);
+          expect(fs.existsSync(path.join(FIXTURES_OUTPUT_DIR, 'glob.css'))).toBe(true);
+          expect(fs.existsSync(path.join(FIXTURES_OUTPUT_DIR, 'glob-a.js'))).toBe(true);
+          expect(fs.existsSync(path.join(FIXTURES_OUTPUT_DIR, 'glob-b.js'))).toBe(false);
+          fs.readFile(FIXTURES_HTML_FILE, 'utf8', (er, data) => {
+            expect(er).toBeFalsy();
+            const $ = cheerio.load(data);
+            expect($('style').length).toBe(1);
+            expect($('style').html()).toBe(fs.readFileSync(path.join(FIXTURES_PATH, 'astyle.css'), 'utf8'));
+            expect($('link[href="exclude.css"]')).toBeTag({ tagName: 'link' });
+            expect($('link[href="glob.css"]')).toBeTag({ tagName: 'link' });
+            expect($('script[src="glob-a.js"]')).toBeTag({ tagName: 'script' });
+            expect($('script[src="glob-b.js"]').length).toBe(0);
+            expect($('script:not([src])').length).toBe(1);
+            done();
+          });
+        });
+      });
+
+      it('should output an error when an inline sourcePath cannot be read', done => {
+        webpack(createWebpackConfig({
+          options: {
+            scripts: { sourcePath: 'foobar.js', inline: true }
+          }
+        }), (err, result) => {
+          expect(err).toBeFalsy();
+          expect(hasCompilationErrorText(result, 'could not read the inline sourcePath')).toBe(true);
+          expect(hasCompilationErrorText(result, '(foobar.js)')).toBe(true);
+          done();
+        });
+      });
+    });
+
+    describe('options.links rel', () => {
+      it('should create the links with a rel other than stylesheet directly in the head', done => {
+        webpack(createWebpackConfig({
+          webpackPublicPath: 'myPublic/',
+          options: {
+            links: [
+              { path: 'favicon.ico', rel: 'icon', append: false, attributes: { type: 'image/x-icon' } },
+              { path: 'manifest.json', rel: 'manifest' },
+              { path: 'https://example.com/page', rel: 'canonical', publicPath: false, hash: false },
+              { path: 'a.css', rel: 'stylesheet' }
+            ],
+            tags: { path: 'apple-touch-icon.png', rel: 'apple-touch-icon' },
+            hash: true
+          }
+        }), (err, result) => {
+          expect(err).toBeFalsy();
+          expect(getCompilationErrors(result)).toBe(EMPTY_ERRORS);
+          fs.readFile(FIXTURES_HTML_FILE, 'utf8', (er, data) => {
+            expect(er).toBeFalsy();
+            const $ = cheerio.load(data);
+            const { hash } = result.compilation;
+            const links = $('head > link').toArray().map(link => link.attribs);
+            expect(links).toEqual([
+              { rel: 'icon', href: `myPublic/favicon.ico?${hash}`, type: 'image/x-icon' },
+              { href: 'myPublic/style.css', rel: 'stylesheet' },
+              { href: `myPublic/a.css?${hash}`, rel: 'stylesheet' },
+              { rel: 'apple-touch-icon', href: `myPublic/apple-touch-icon.png?${hash}` },
+              { rel: 'manifest', href: `myPublic/manifest.json?${hash}` },
+              { rel: 'canonical', href: 'https://example.com/page' }
+            ]);
+            done();
+          });
+        });
+      });
+    });
+
+    describe('options.scripts & options.links inject', () => {
+      it('should move the tags with an inject location to the head or body', done => {
+        webpack(createWebpackConfig({
+          htmlOptions: {
+            inject: 'body'
+          },
+          options: {
+            scripts: [
+              { path: 'analytics.js', inject: 'head', append: false },
+              { path: 'a.js', append: false },
+              { path: 'b.js', inject: 'head' },
+              { path: 'c.js', inject: 'body' }
+            ],
+            links: { path: 'late.css', inject: 'body' },
+            publicPath: false
+          }
+        }), (err, result) => {
+          expect(err).toBeFalsy();
+          expect(getCompilationErrors(result)).toBe(EMPTY_ERRORS);
+          fs.readFile(FIXTURES_HTML_FILE, 'utf8', (er, data) => {
+            expect(er).toBeFalsy();
+            const $ = cheerio.load(data);
+            const getTagPaths = selector => $(selector).toArray().map(tag => tag.attribs.src || tag.attribs.href);
+            expect(getTagPaths('head > script, head > link')).toEqual(['style.css', 'analytics.js', 'b.js']);
+            expect(getTagPaths('body > script, body > link')).toEqual(['a.js', 'app.js', 'style.js', 'c.js', 'late.css']);
+            done();
+          });
+        });
+      });
+    });
+
+    describe('options.scripts & options.links before & after', () => {
+      it('should move the tags next to the tags matching their before or after anchor', done => {
+        webpack(createWebpackConfig({
+          webpackPublicPath: 'myPublic/',
+          options: {
+            scripts: [
+              { path: 'a.js', before: 'style.js' },
+              { path: 'b.js', before: 'st*.js' },
+              { path: 'c.js', after: /\/app\.js$/ },
+              { path: 'd.js', after: /\/app\.js$/, append: false }
+            ],
+            links: { path: 'x.css', before: 'style.css' },
+            hash: true
+          }
+        }), (err, result) => {
+          expect(err).toBeFalsy();
+          expect(getCompilationErrors(result)).toBe(EMPTY_ERRORS);
+          fs.readFile(FIXTURES_HTML_FILE, 'utf8', (er, data) => {
+            expect(er).toBeFalsy();
+            const $ = cheerio.load(data);
+            const getTagPaths = selector => $(selector).toArray().map(tag => (tag.attribs.src || tag.attribs.href).replace(/\?.*$/, ''));
+            expect(getTagPaths('script')).toEqual(['myPublic/app.js', 'myPublic/d.js', 'myPublic/c.js', 'myPublic/a.js', 'myPublic/b.js', 'myPublic/style.js']);
+            expect(getTagPaths('link')).toEqual(['myPublic/x.css', 'myPublic/style.css']);
+            done();
+          });
+        });
+      });
+
+      it('should output an error when the anchor of a tag is not found', done => {
+        webpack(createWebpackConfig({
+          options: {
+            scripts: { path: 'a.js', before: 'vendors~*.js' }
+          }
+        }), (err, result) => {
+          expect(err).toBeFalsy();
+          expect(hasCompilationErrorText(result, 'could not find the before anchor')).toBe(true);
+          expect(hasCompilationErrorText(result, '(vendors~*.js)')).toBe(true);
+          done();
+        });
+      });
+    });
+
+    describe('options.priority', () => {
+      it('should sort the prepended and appended tags of every plugin instance by priority', done => {
+        webpack(createWebpackConfig({
+          webpackPublicPath: 'myPublic/',
+          options: [
+            {
+              scripts: [{ path: 'a.js', append: false }, { path: 'b.js', append: false, priority: 10 }, 'c.js'],
+              links: ['x.css', { path: 'y.css', priority: -1 }]
+            },
+            {
+              priority: 5,
+              scripts: [{ path: 'd.js', append: false }, 'e.js', { path: 'f.js', priority: 0 }],
+              links: { path: 'z.css', append: false }
+            }
+          ]
+        }), (err, result) => {
+          expect(err).toBeFalsy();
+          expect(getCompilationErrors(result)).toBe(EMPTY_ERRORS);
+          fs.readFile(FIXTURES_HTML_FILE, 'utf8', (er, data) => {
+            expect(er).toBeFalsy();
+            const $ = cheerio.load(data);
+            const getTagPaths = selector => $(selector).toArray().map(tag => tag.attribs.src || tag.attribs.href);
+            expect(getTagPaths('script')).toEqual(['myPublic/b.js', 'myPublic/d.js', 'myPublic/a.js', 'myPublic/app.js', 'myPublic/style.js', 'myPublic/e.js', 'myPublic/c.js', 'myPublic/f.js']);
+            expect(getTagPaths('link')).toEqual(['myPublic/z.css', 'myPublic/style.css', 'myPublic/x.css', 'myPublic/y.css']);
+            done();
+          });
+        });
+      });
+
+      it('should keep the registration order of the plugin instances for tags with the same priority', done => {
+        webpack(createWebpackConfig({
+          options: [
+            { scripts: [{ path: 'a.js', append: false }, 'b.js'] },
+            { scripts: [{ path: 'c.js', append: false }, 'd.js'] }
+          ]
+        }), (err, result) => {
+          expect(err).toBeFalsy();
+          expect(getCompilationErrors(result)).toBe(EMPTY_ERRORS);
+          fs.readFile(FIXTURES_HTML_FILE, 'utf8', (er, data) => {
+            expect(er).toBeFalsy();
+            const $ = cheerio.load(data);
+            const getTagPaths = selector => $(selector).toArray().map(tag => tag.attribs.src);
+            expect(getTagPaths('script')).toEqual(['c.js', 'a.js', 'app.js', 'style.js', 'b.js', 'd.js']);
+            done();
+          });
+        });
+      });
+    });
+
+    describe('plugin instances', () => {
+      it('should keep the changes another plugin made to the assets between two plugin instances', done => {
+        const otherPlugin = {
+          apply: compiler => compiler.hooks.compilation.tap('otherPlugin', compilation => {
+            HtmlWebpackPlugin.getHooks(compilation).beforeAssetTagGeneration.tap('otherPlugin', htmlPluginData => {
+              const { assets } = htmlPluginData;
+              assets.js = assets.js.filter(assetPath => assetPath !== 'style.js').concat('other.js');
+              return htmlPluginData;
+            });
+          })
+        };
+        const webpackConfig = createWebpackConfig({ options: { scripts: { path: 'a.js', dependsOn: 'b' }, links: 'a.css' } });
+        webpackConfig.plugins.push(otherPlugin, new HtmlWebpackTagsPlugin({ scripts: { path: 'b.js', id: 'b' }, links: 'b.css' }));
+        webpack(webpackConfig, (err, result) => {
+          expect(err).toBeFalsy();
+          expect(getCompilationErrors(result)).toBe(EMPTY_ERRORS);
+          const $ = cheerio.load(fs.readFileSync(FIXTURES_HTML_FILE, 'utf8'));
+          const getTagPaths = selector => $(selector).toArray().map(tag => tag.attribs.src || tag.attribs.href);
+          expect(getTagPaths('script')).toEqual(['app.js', 'other.js', 'b.js', 'a.js']);
+          expect(getTagPaths('link')).toEqual(['style.css', 'a.css', 'b.css']);
+          done();
+        });
+      });
+    });
+
+    describe('options.scripts & options.links id & dependsOn', () => {
+      it('should inject the tags after the tags they depend on, across plugin instances', done => {
+        webpack(createWebpackConfig({
+          options: [
+            {
+              scripts: [{ path: 'react-dom.js', id: 'react-dom', dependsOn: 'react', append: false }, { path: 'a.js', append: false }],
+              links: [{ path: 'theme.css', dependsOn: ['base'], append: false }]
+            },
+            {
+              scripts: { path: 'react.js', id: 'react' },
+              links: { path: 'base.css', id: 'base' }
+            }
+          ]
+        }), (err, result) => {
+          expect(err).toBeFalsy();
+          expect(getCompilationErrors(result)).toBe(EMPTY_ERRORS);
+          fs.readFile(FIXTURES_HTML_FILE, 'utf8', (er, data) => {
+            expect(er).toBeFalsy();
+            const $ = cheerio.load(data);
+            const getTagPaths = selector => $(selector).toArray().map(tag => tag.attribs.src || tag.attribs.href);
+            expect(getTagPaths('script')).toEqual(['a.js', 'app.js', 'style.js', 'react.js', 'react-dom.js']);
+            expect(getTagPaths('link')).toEqual(['style.css', 'base.css', 'theme.css']);
+            done();
+          });
+        });
+      });
+
+      it('should output an error when the dependencies of the tags have a cycle', done => {
+        webpack(createWebpackConfig({
+          options: {
+            scripts: [{ path: 'a.js', id: 'a', dependsOn: 'b' }, { path: 'b.js', id: 'b', dependsOn: 'a' }]
+          }
+        }), (err, result) => {
+          expect(err).toBeFalsy();
+          expect(hasCompilationErrorText(result, 'have a cyclic dependency')).toBe(true);
+          done();
+        });
+      });
+
+      it('should output an error when a dependency of a tag is not found', done => {
+        webpack(createWebpackConfig({
+          options: {
+            scripts: [{ path: 'react-dom.js', id: 'react-dom', dependsOn: 'react' }]
+          }
+        }), (err, result) => {
+          expect(err).toBeFalsy();
+          expect(hasCompilationErrorText(result, 'could not find the dependency')).toBe(true);
+          expect(hasCompilationErrorText(result, '(react)')).toBe(true);
+          done();
+        });
+      });
+
+      it('should output an error when a dependency of a tag is not injected into the same html file', done => {
+        const createFilesConfig = dependentFiles => {
+          const webpackConfig = createWebpackConfig({
+            options: {
+              scripts: [{ path: 'react.js', id: 'react', files: 'admin.html' }, { path: 'react-dom.js', dependsOn: 'react', files: dependentFiles }]
+            }
+          });
+          webpackConfig.plugins.splice(2, 0, new HtmlWebpackPlugin({ filename: 'admin.html' }));
+          return webpackConfig;
+        };
+        webpack(createFilesConfig('admin.html'), (err, result) => {
+          expect(err).toBeFalsy();
+          expect(getCompilationErrors(result)).toBe(EMPTY_ERRORS);
+          webpack(createFilesConfig(undefined), (err, result) => {
+            expect(err).toBeFalsy();
+            expect(hasCompilationErrorText(result, 'could not find the dependency')).toBe(true);
+            expect(hasCompilationErrorText(result, '(react)')).toBe(true);
+            done();
+          });
+        });
+      });
+    });
+
+    describe('options.resourceHint', () => {
+      it('should inject resource hint links at the start of the head for the tag paths', done => {
+        webpack(createWebpackConfig({
+          webpackPublicPath: 'myPublic/',
+          options: {
+            resourceHint: 'preload',
+            scripts: [
+              { path: 'a.js', append: false },
+              { path: 'b.js', resourceHint: 'prefetch' },
+              { path: 'c.mjs', resourceHint: 'modulepreload', attributes: { crossorigin: 'use-credentials' } },
+              { path: 'https://cdn.example.com/d.js', publicPath: false, resourceHint: 'preconnect' },
+              { path: 'https://cdn.example.com/e.js', publicPath: false, resourceHint: 'preconnect' },
+              { path: 'f.js', resourceHint: false },
+              { content: 'console.log("inline");' }
+            ],
+            links: [
+              { path: 'a.css' },
+              { path: 'font.woff2', attributes: { type: 'font/woff2' } },
+              { path: 'image.png', resourceHint: 'prefetch' }
+            ]
+          }
+        }), (err, result) => {
+          expect(err).toBeFalsy();
+          expect(getCompilationErrors(result)).toBe(EMPTY_ERRORS);
+          fs.readFile(FIXTURES_HTML_FILE, 'utf8', (er, data) => {
+            expect(er).toBeFalsy();
+            const $ = cheerio.load(data);
+            const headHints = $('head > link').slice(0, 7).toArray().map(link => link.attribs);
+            expect(headHints).toEqual([
+              { rel: 'preload', href: 'myPublic/a.css', as: 'style' },
+              { rel: 'preload', href: 'myPublic/font.woff2', as: 'font', crossorigin: 'anonymous', type: 'font/woff2' },
+              { rel: 'prefetch', href: 'myPublic/image.png', as: 'image' },
+              { rel: 'preload', href: 'myPublic/a.js', as: 'script' },
+              { rel: 'prefetch', href: 'myPublic/b.js', as: 'script' },
+              { rel: 'modulepreload', href: 'myPublic/c.mjs', crossorigin: 'use-credentials' },
+              { rel: 'preconnect', href: 'https://cdn.example.com' }
+            ]);
+            expect($('link[rel="preload"]').length).toBe(3);
+            expect($('link[href="myPublic/a.css"][rel="stylesheet"]')).toBeTag({ tagName: 'link' });
+            expect($('link[href="myPublic/font.woff2"]').length).toBe(1);
+            expect($('link[href="myPublic/image.png"]').length).toBe(1);
+            expect($('script[src="myPublic/a.js"]')).toBeTag({ tagName: 'script' });
+            expect($('script[src="https://cdn.example.com/d.js"]')).toBeTag({ tagName: 'script' });
+            expect($('link[href="myPublic/f.js"]').length).toBe(0);
+            expect($('link[rel="preconnect"]').length).toBe(1);
+            done();
+          });
+        });
+      });
+
+      it('should inject a preconnect link for each third-party origin of the tag paths with preconnect', done => {
+        webpack(createWebpackConfig({
+          options: {
+            preconnect: true,
+            dnsPrefetch: true,
+            publicPath: false,
+            scripts: [
+              'local.js',
+              'https://cdn.example.com/a.js',
+              { path: 'https://cdn.example.com/b.js', attributes: { crossorigin: 'anonymous' } },
+              '//other.example.com/c.js',
+              { path: 'https://skipped.example.com/d.js', preconnect: false },
+              { path: 'https://hinted.example.com/e.js', resourceHint: 'preconnect' }
+            ],
+            links: 'https://fonts.example.com:8080/font.woff2?v=1'
+          }
+        }), (err, result) => {
+          expect(err).toBeFalsy();
+          expect(getCompilationErrors(result)).toBe(EMPTY_ERRORS);
+          fs.readFile(FIXTURES_HTML_FILE, 'utf8', (er, data) => {
+            expect(er).toBeFalsy();
+            const $ = cheerio.load(data);
+            const hints = $('link[rel="preconnect"], link[rel="dns-prefetch"]').toArray().map(link => link.attribs);
+            expect(hints).toEqual([
+              { rel: 'preconnect', href: 'https://fonts.example.com:8080', crossorigin: 'anonymous' },
+              { rel: 'preconnect', href: 'https://cdn.example.com', crossorigin: 'anonymous' },
+              { rel: 'preconnect', href: '//other.example.com' },
+              { rel: 'dns-prefetch', href: 'https://fonts.example.com:8080' },
+              { rel: 'dns-prefetch', href: 'https://cdn.example.com' },
+              { rel: 'dns-prefetch', href: '//other.example.com' },
+              { rel: 'preconnect', href: 'https://hinted.example.com' }
+            ]);
+            expect($('head > link').first().attr('href')).toBe('https://fonts.example.com:8080');
+            done();
+          });
+        });
+      });
+
+      it('should only inject a dns-prefetch link for the origins of the tags with dnsPrefetch', done => {
+        webpack(createWebpackConfig({
+          options: {
+            preconnect: true,
+            publicPath: false,
+            scripts: [
+              'https://cdn.example.com/a.js',
+              { path: 'https://cdn.example.com/b.js', dnsPrefetch: true },
+              'https://other.example.com/c.js'
+            ]
+          }
+        }), (err, result) => {
+          expect(err).toBeFalsy();
+          expect(getCompilationErrors(result)).toBe(EMPTY_ERRORS);
+          fs.readFile(FIXTURES_HTML_FILE, 'utf8', (er, data) => {
+            expect(er).toBeFalsy();
+            const $ = cheerio.load(data);
+            const hints = $('link[rel="preconnect"], link[rel="dns-prefetch"]').toArray().map(link => link.attribs);
+            expect(hints).toEqual([
+              { rel: 'preconnect', href: 'https://cdn.example.com' },
+              { rel: 'preconnect', href: 'https://other.example.com' },
+              { rel: 'dns-prefetch', href: 'https://cdn.example.com' }
+            ]);
+            done();
+          });
+        });
       });
     });
 
-    runTestsForOption({ optionName: 'tags', optionTag: 'link' }, createWebpackConfig);
-    // runTestsForOption({ optionName: 'tags', optionTag: 'script' }, createWebpackConfig);
-    if (RUN_ALL_TESTS) {
-      // runTestsForOption({ optionName: 'links', optionTag: 'link' }, createWebpackConfig);
-      // runTestsForOption({ optionName: 'scripts', optionTag: 'script' }, createWebpackConfig);
-    }
+    describe('options.customTags', () => {
+      it('should copy the sourcePath of a custom tag to the output', done => {
+        webpack(createWebpackConfig({
+          options: {
+            publicPath: false,
+            customTags: { tagName: 'object', path: 'astyle.css', sourcePath: 'spec/fixtures/astyle.css', pathAttribute: 'data' }
+          }
+        }), (err, result) => {
+          expect(err).toBeFalsy();
+          expect(getCompilationErrors(result)).toBe(EMPTY_ERRORS);
+          expect(fs.existsSync(path.join(FIXTURES_OUTPUT_DIR, 'astyle.css'))).toBe(true);
+          const $ = cheerio.load(fs.readFileSync(FIXTURES_HTML_FILE, 'utf8'));
+          expect($('object')).toBeTag({ tagName: 'object', attributes: { data: 'astyle.css' } });
+          done();
+        });
+      });
 
-    describe('options.tags', () => {
-      it('should include a mixture of js and css files', done => {
+      it('should inject custom tags into the head or body with the path in the path attribute', done => {
         webpack(createWebpackConfig({
+          webpackPublicPath: 'myPublic/',
           options: {
-            tags: [
-              'foo.js',
-              'foo.css',
-              { path: 'baz', type: 'css' },
-              { path: 'bar.js' },
-              'bar.css',
-              { path: 'qux', type: 'js' }
-            ],
-            append: true,
-            publicPath: false
+            customTags: [
+              { tagName: 'base', attributes: { href: '/' }, append: false },
+              { tagName: 'noscript', innerHTML: 'Please enable JavaScript', inject: 'body' },
+              { tagName: 'iframe', path: 'frame.html', inject: 'body', hash: true, attributes: { title: 'frame' } },
+              { tagName: 'object', path: 'movie.swf', pathAttribute: 'data', inject: 'body', append: false },
+              { tagName: 'my-element', voidTag: false, attributes: { name: 'test' } }
+            ]
           }
         }), (err, result) => {
           expect(err).toBeFalsy();
           expect(getCompilationErrors(result)).toBe(EMPTY_ERRORS);
           fs.readFile(FIXTURES_HTML_FILE, 'utf8', (er, data) => {
             expect(er).toBeFalsy();
-            const $ = cheerio.load(data);
-            expect($('script').length).toBe(5);
-            expect($('link').length).toBe(4);
-            expect($('script[src="style.js"]')).toBeTag({ tagName: 'script', attributes: { src: 'style.js' } });
-            expect($('script[src="app.js"]')).toBeTag({ tagName: 'script', attributes: { src: 'app.js' } });
-            expect($('link[href="style.css"]')).toBeTag({ tagName: 'link', attributes: { href: 'style.css', rel: 'stylesheet' } });
-            expect($('script[src="foo.js"]')).toBeTag({ tagName: 'script', attributes: { src: 'foo.js' } });
-            expect($('script[src="bar.js"]')).toBeTag({ tagName: 'script', attributes: { src: 'bar.js' } });
-            expect($('script[src="qux"]')).toBeTag({ tagName: 'script', attributes: { src: 'qux' } });
-            expect($('link[href="foo.css"]')).toBeTag({ tagName: 'link', attributes: { href: 'foo.css', rel: 'stylesheet' } });
-            expect($('link[href="bar.css"]')).toBeTag({ tagName: 'link', attributes: { href: 'bar.css', rel: 'stylesheet' } });
-            expect($('link[href="baz"]')).toBeTag({ tagName: 'link', attributes: { href: 'baz', rel: 'stylesheet' } });
+            const hash = result.compilation.hash;
+            expect(data).toContain('<title>Webpack App</title><base href="/">');
+            expect(data).toContain('<link href="myPublic/style.css" rel="stylesheet"><my-element name="test"></my-element></head>');
+            expect(data).toContain('<body><object data="myPublic/movie.swf"></object><noscript>Please enable JavaScript</noscript>');
+            expect(data).toContain(`<iframe src="myPublic/frame.html?${hash}" title="frame"></iframe></body>`);
             done();
           });
         });
@@ -1395,6 +2529,58 @@ function runTestsForHtmlVersion () {
             expect(links.get(3)).toBeTag({ tagName: 'link', attributes: { href: 'bar2.css', rel: 'stylesheet' } });
             expect(links.get(4)).toBeTag({ tagName: 'link', attributes: { href: 'car.css', rel: 'stylesheet' } });
 
+            done();
+          });
+        });
+      });
+      it('should copy attributes to the right tags when multiple plugins append and prepend tags', done => {
+        webpack(createWebpackConfig({
+          options: [
+            {
+              scripts: [{ path: 'a.js', attributes: { id: 'a' } }],
+              links: [{ path: 'a.css', attributes: { id: 'a-css' } }],
+              append: true,
+              publicPath: false
+            },
+            {
+              scripts: 'b.js',
+              links: 'b.css',
+              append: true,
+              publicPath: false
+            },
+            {
+              scripts: [{ path: 'c.js', attributes: { id: 'c' } }],
+              append: false,
+              publicPath: false
+            },
+            {
+              scripts: 'd.js',
+              append: false,
+              publicPath: false
+            }
+          ]
+        }), (err, result) => {
+          expect(err).toBeFalsy();
+          expect(getCompilationErrors(result)).toBe(EMPTY_ERRORS);
+          fs.readFile(FIXTURES_HTML_FILE, 'utf8', (er, data) => {
+            expect(er).toBeFalsy();
+            const $ = cheerio.load(data);
+            const scripts = $('script');
+            const links = $('link');
+
+            expect(scripts.length).toBe(6);
+            expect(scripts.get(0)).toBeTag({ tagName: 'script', attributes: { src: 'd.js' } });
+            expect(scripts.get(0).attribs.id).toBeUndefined();
+            expect(scripts.get(1)).toBeTag({ tagName: 'script', attributes: { src: 'c.js', id: 'c' } });
+            expect(scripts.get(4)).toBeTag({ tagName: 'script', attributes: { src: 'a.js', id: 'a' } });
+            expect(scripts.get(5)).toBeTag({ tagName: 'script', attributes: { src: 'b.js' } });
+            expect(scripts.get(5).attribs.id).toBeUndefined();
+
+            expect(links.length).toBe(3);
+            expect(links.get(1)).toBeTag({ tagName: 'link', attributes: { href: 'a.css', id: 'a-css' } });
+            expect(links.get(2)).toBeTag({ tagName: 'link', attributes: { href: 'b.css' } });
+            expect(links.get(2).attribs.id).toBeUndefined();
+
             done();
           });
         });
@@ -2035,6 +3221,465 @@ function runTestsForHtmlVersion () {
         });
       });
     });
+
+    describe('webpack externals', () => {
+      beforeEach(done => {
+        rimraf(EXTERNALS_OUTPUT_DIR, done);
+      });
+
+      const createExternalsWebpackConfig = webpackOptions => ({
+        ...createWebpackConfig({
+          webpackEntry: EXTERNALS_ENTRY,
+          webpackStyle: EXTERNALS_STYLE,
+          webpackOutput: EXTERNALS_OUTPUT_DIR,
+          options: {
+            scripts: {
+              path: 'fake-b.js',
+              external: {
+                packageName: 'fake-b-package',
+                variableName: 'FakeB'
+              }
+            },
+            publicPath: false
+          }
+        }),
+        ...webpackOptions
+      });
+
+      const readAppBundle = callback => fs.readFile(path.join(EXTERNALS_OUTPUT_DIR, 'app.js'), 'utf8', callback);
+
+      it('should inject the external scripts of options returned by a function when their package is in the webpack externals', done => {
+        webpack({
+          ...createExternalsWebpackConfig({ externals: { 'fake-b-package': 'FakeB' } }),
+          plugins: createWebpackConfig({
+            options: () => ({ scripts: { path: 'fake-b.js', external: { packageName: 'fake-b-package', variableName: 'FakeB' } }, publicPath: false })
+          }).plugins
+        }, (err, result) => {
+          expect(err).toBeFalsy();
+          expect(getCompilationErrors(result)).toBe(EMPTY_ERRORS);
+          expect(result.compilation.options.externals).toEqual({ 'fake-b-package': 'FakeB' });
+          const $ = cheerio.load(fs.readFileSync(EXTERNALS_HTML_FILE, 'utf8'));
+          expect($('script[src="fake-b.js"]').length).toBe(1);
+          readAppBundle((appError, appData) => {
+            expect(appError).toBeFalsy();
+            expect(appData).not.toContain('% webpack fakeB %');
+            done();
+          });
+        });
+      });
+
+      it('should merge the external into a function externals', done => {
+        const functionExternals = ({ request }, callback) => request === 'fake-a-package' ? callback(null, 'FakeA') : callback();
+        webpack(createExternalsWebpackConfig({
+          externals: functionExternals
+        }), (err, result) => {
+          expect(err).toBeFalsy();
+          expect(getCompilationErrors(result)).toBe(EMPTY_ERRORS);
+          const { externals } = result.compilation.options;
+          expect(externals.length).toBe(2);
+          expect(externals[0]).toEqual({ 'fake-b-package': 'FakeB' });
+          expect(externals[1]).toBe(functionExternals);
+          readAppBundle((appError, appData) => {
+            expect(appError).toBeFalsy();
+            expect(appData).not.toContain('% webpack fakeA %');
+            expect(appData).not.toContain('% webpack fakeB %');
+            expect(appData).toContain('% webpack fakeC %');
+            done();
+          });
+        });
+      });
+
+      it('should merge the external into an array externals and use the var type when externalsType is set', done => {
+        webpack(createExternalsWebpackConfig({
+          externalsType: 'commonjs',
+          externals: [{ 'fake-a-package': 'fake-a-package' }, /^fake-c-package$/]
+        }), (err, result) => {
+          expect(err).toBeFalsy();
+          expect(getCompilationErrors(result)).toBe(EMPTY_ERRORS);
+          const { externals } = result.compilation.options;
+          expect(externals.length).toBe(3);
+          expect(externals[0]).toEqual({ 'fake-b-package': 'var FakeB' });
+          readAppBundle((appError, appData) => {
+            expect(appError).toBeFalsy();
+            expect(appData).not.toContain('% webpack fakeA %');
+            expect(appData).not.toContain('% webpack fakeB %');
+            expect(appData).not.toContain('% webpack fakeC %');
+            expect(appData).toContain('require("fake-a-package")');
+            expect(appData).toContain('require("fake-c-package")');
+            expect(appData).toContain('FakeB');
+            expect(appData).not.toContain('require("FakeB")');
+            done();
+          });
+        });
+      });
+
+      it('should merge the external into a RegExp externals', done => {
+        const regexExternals = /^fake-c-package$/;
+        webpack(createExternalsWebpackConfig({
+          externalsType: 'window',
+          externals: regexExternals
+        }), (err, result) => {
+          expect(err).toBeFalsy();
+          expect(getCompilationErrors(result)).toBe(EMPTY_ERRORS);
+          const { externals } = result.compilation.options;
+          expect(externals.length).toBe(2);
+          expect(externals[0]).toEqual({ 'fake-b-package': 'var FakeB' });
+          expect(externals[1]).toBe(regexExternals);
+          readAppBundle((appError, appData) => {
+            expect(appError).toBeFalsy();
+            expect(appData).toContain('% webpack fakeA %');
+            expect(appData).not.toContain('% webpack fakeB %');
+            expect(appData).not.toContain('% webpack fakeC %');
+            done();
+          });
+        });
+      });
+
+      it('should merge the external into an object externals when externalsPresets are used', done => {
+        webpack(createExternalsWebpackConfig({
+          externalsPresets: { node: true },
+          externals: { 'fake-a-package': 'FakeA' }
+        }), (err, result) => {
+          expect(err).toBeFalsy();
+          expect(getCompilationErrors(result)).toBe(EMPTY_ERRORS);
+          expect(result.compilation.options.externals).toEqual({ 'fake-a-package': 'FakeA', 'fake-b-package': 'FakeB' });
+          expect(result.compilation.options.externalsPresets.node).toBe(true);
+          readAppBundle((appError, appData) => {
+            expect(appError).toBeFalsy();
+            expect(appData).not.toContain('% webpack fakeA %');
+            expect(appData).not.toContain('% webpack fakeB %');
+            expect(appData).toContain('% webpack fakeC %');
+            done();
+          });
+        });
+      });
+
+      it('should use the var type for the external when output.module is used', done => {
+        webpack(createExternalsWebpackConfig({
+          experiments: { outputModule: true },
+          output: {
+            path: EXTERNALS_OUTPUT_DIR,
+            filename: OUTPUT_FILENAME,
+            module: true
+          }
+        }), (err, result) => {
+          expect(err).toBeFalsy();
+          expect(getCompilationErrors(result)).toBe(EMPTY_ERRORS);
+          expect(result.compilation.options.externals).toEqual({ 'fake-b-package': 'var FakeB' });
+          readAppBundle((appError, appData) => {
+            expect(appError).toBeFalsy();
+            expect(appData).not.toContain('% webpack fakeB %');
+            expect(appData).not.toContain('import');
+            done();
+          });
+        });
+      });
+
+      it('should register a module external and inject an import map with modulepreload links instead of a script', done => {
+        webpack({
+          ...createExternalsWebpackConfig({
+            target: ['web', 'es2020'],
+            experiments: { outputModule: true },
+            output: {
+              path: EXTERNALS_OUTPUT_DIR,
+              filename: '[name].mjs',
+              module: true
+            }
+          }),
+          plugins: [
+            new MiniCssExtractPlugin({ filename: '[name].css' }),
+            new HtmlWebpackPlugin({ scriptLoading: 'module' }),
+            new HtmlWebpackTagsPlugin({
+              scripts: [
+                { path: 'https://cdn.example.com/fake-b.js', publicPath: false, external: { packageName: 'fake-b-package', type: 'module' } },
+                { path: 'fake-c.js', external: { packageName: 'fake-c-package', type: 'import' } }
+              ],
+              publicPath: 'myPublic/'
+            }),
+            new HtmlWebpackTagsPlugin({
+              scripts: { path: 'fake-a.js', external: { packageName: 'fake-a-package', type: 'module' } },
+              publicPath: false
+            })
+          ]
+        }, (err, result) => {
+          expect(err).toBeFalsy();
+          expect(getCompilationErrors(result)).toBe(EMPTY_ERRORS);
+          expect(result.compilation.options.externals).toEqual({
+            'fake-a-package': 'module fake-a-package',
+            'fake-b-package': 'module fake-b-package',
+            'fake-c-package': 'import fake-c-package'
+          });
+          fs.readFile(EXTERNALS_HTML_FILE, 'utf8', (er, data) => {
+            expect(er).toBeFalsy();
+            const $ = cheerio.load(data);
+            expect($('script[type="importmap"]').length).toBe(1);
+            expect(JSON.parse($('script[type="importmap"]').html())).toEqual({
+              imports: {
+                'fake-b-package': 'https://cdn.example.com/fake-b.js',
+                'fake-c-package': 'myPublic/fake-c.js',
+                'fake-a-package': 'fake-a.js'
+              }
+            });
+            expect($('script[src]').length).toBe(2);
+            expect($('script[src="app.mjs"]')).toBeTag({ tagName: 'script', attributes: { type: 'module', src: 'app.mjs' } });
+            const preloads = $('link[rel="modulepreload"]');
+            expect(preloads.length).toBe(3);
+            expect(preloads.get(0)).toBeTag({ tagName: 'link', attributes: { href: 'https://cdn.example.com/fake-b.js' } });
+            expect(preloads.get(1)).toBeTag({ tagName: 'link', attributes: { href: 'myPublic/fake-c.js' } });
+            expect(preloads.get(2)).toBeTag({ tagName: 'link', attributes: { href: 'fake-a.js' } });
+            const headChildren = $('head').children();
+            expect(headChildren.index($('script[type="importmap"]'))).toBeLessThan(headChildren.index(preloads.get(0)));
+            expect(headChildren.index(preloads.get(2))).toBeLessThan(headChildren.index($('script[src="app.mjs"]')));
+            fs.readFile(path.join(EXTERNALS_OUTPUT_DIR, 'app.mjs'), 'utf8', (appError, appData) => {
+              expect(appError).toBeFalsy();
+              expect(appData).toContain('from"fake-b-package"');
+              expect(appData).not.toContain('% webpack fakeB %');
+              expect(appData).not.toContain('% webpack fakeC %');
+              expect(appData).toContain('import("fake-c-package")');
+              done();
+            });
+          });
+        });
+      });
+
+      it('should inject a fallback loader right after an external script', done => {
+        webpack(createWebpackConfig({
+          webpackEntry: EXTERNALS_ENTRY,
+          webpackStyle: EXTERNALS_STYLE,
+          webpackOutput: EXTERNALS_OUTPUT_DIR,
+          webpackPublicPath: 'myPublic/',
+          options: {
+            scripts: [
+              {
+                path: 'https://cdn.example.com/fake-a.js',
+                publicPath: false,
+                external: { packageName: 'fake-a-package', variableName: 'FakeA' },
+                fallback: 'vendor/fake-a.js'
+              },
+              {
+                path: 'https://cdn.example.com/fake-b.js',
+                publicPath: false,
+                external: { packageName: 'fake-b-package', variableName: 'FakeB' },
+                fallbackSourcePath: 'spec/fixtures/external/node_modules/fake-b-package/fake-b-bundle.js'
+              },
+              {
+                path: 'https://cdn.example.com/fake-c.js',
+                publicPath: false,
+                external: { packageName: 'fake-c-package', variableName: 'Fake.C' },
+                fallback: 'vendor/fake"c.js'
+              }
+            ]
+          }
+        }), (err, result) => {
+          expect(err).toBeFalsy();
+          expect(getCompilationErrors(result)).toBe(EMPTY_ERRORS);
+          expect(fs.existsSync(path.join(EXTERNALS_OUTPUT_DIR, 'fake-b-bundle.js'))).toBe(true);
+          fs.readFile(EXTERNALS_HTML_FILE, 'utf8', (er, data) => {
+            expect(er).toBeFalsy();
+            const $ = cheerio.load(data);
+            const fakeA = $('script[src="https://cdn.example.com/fake-a.js"]');
+            const fakeB = $('script[src="https://cdn.example.com/fake-b.js"]');
+            expect(fakeA.attr('defer')).toBeUndefined();
+            expect(fakeB.attr('defer')).toBeUndefined();
+            expect($('script[src="myPublic/app.js"]').attr('defer')).toBe('defer');
+            expect(fakeA.next().html()).toBe('window["FakeA"] || document.write("<script src=\\"myPublic/vendor/fake-a.js\\"><\\/script>");');
+            expect(fakeB.next().html()).toBe('window["FakeB"] || document.write("<script src=\\"myPublic/fake-b-bundle.js\\"><\\/script>");');
+            const fakeC = $('script[src="https://cdn.example.com/fake-c.js"]');
+            expect(fakeC.next().html()).toBe('window["Fake"] && window["Fake"]["C"] || document.write("<script src=\\"myPublic/vendor/fake&quot;c.js\\"><\\/script>");');
+            done();
+          });
+        });
+      });
+
+      it('should emit an external fromPackage file versioned with the package version', done => {
+        webpack(createExternalsWebpackConfig({
+          context: EXTERNALS_PATH,
+          plugins: [
+            new MiniCssExtractPlugin({ filename: '[name].css' }),
+            new HtmlWebpackPlugin(),
+            new HtmlWebpackTagsPlugin({
+              scripts: [
+                { external: { packageName: 'fake-a-package', variableName: 'FakeA', fromPackage: 'fake-a-bundle.js' } },
+                { external: { packageName: 'fake-b-package', variableName: 'FakeB', fromPackage: 'fake-b-bundle.js' }, outputPath: 'vendor/[name]@[version][ext]' }
+              ]
+            })
+          ]
+        }), (err, result) => {
+          expect(err).toBeFalsy();
+          expect(getCompilationErrors(result)).toBe(EMPTY_ERRORS);
+          expect(result.compilation.options.externals).toEqual({ 'fake-a-package': 'FakeA', 'fake-b-package': 'FakeB' });
+          expect(fs.existsSync(path.join(EXTERNALS_OUTPUT_DIR, 'fake-a-package/fake-a-bundle.1.0.0.js'))).toBe(true);
+          expect(fs.existsSync(path.join(EXTERNALS_OUTPUT_DIR, 'vendor/fake-b-bundle@1.0.0.js'))).toBe(true);
+          fs.readFile(EXTERNALS_HTML_FILE, 'utf8', (er, data) => {
+            expect(er).toBeFalsy();
+            const $ = cheerio.load(data);
+            expect($('script[src="fake-a-package/fake-a-bundle.1.0.0.js"]')).toBeTag({ tagName: 'script' });
+            expect($('script[src="vendor/fake-b-bundle@1.0.0.js"]')).toBeTag({ tagName: 'script' });
+            done();
+          });
+        });
+      });
+
+      it('should build the path of an external fromPackage file from the cdn template', done => {
+        const fakeBSource = fs.readFileSync(path.join(EXTERNALS_PATH, 'node_modules/fake-b-package/fake-b-bundle.js'));
+        const fakeBIntegrity = 'sha384-' + crypto.createHash('sha384').update(fakeBSource).digest('base64');
+        webpack(createExternalsWebpackConfig({
+          context: EXTERNALS_PATH,
+          plugins: [
+            new MiniCssExtractPlugin({ filename: '[name].css' }),
+            new HtmlWebpackPlugin(),
+            new HtmlWebpackTagsPlugin({
+              cdn: 'https://cdn.example.com/[packageName]@[version]/[file]',
+              publicPath: false,
+              scripts: [
+                { external: { packageName: 'fake-a-package', variableName: 'FakeA', fromPackage: './fake-a-bundle.js' }, cdn: 'https://other.example.com/[packageName]/[version]/[file]' },
+                { external: { packageName: 'fake-b-package', variableName: 'FakeB', fromPackage: 'fake-b-bundle.js' }, integrity: true },
+                { external: { packageName: 'fake-c-package', variableName: 'FakeC', fromPackage: 'fake-c-bundle.js' }, cdn: false }
+              ]
+            })
+          ]
+        }), (err, result) => {
+          expect(err).toBeFalsy();
+          expect(getCompilationErrors(result)).toBe(EMPTY_ERRORS);
+          expect(fs.existsSync(path.join(EXTERNALS_OUTPUT_DIR, 'fake-a-package'))).toBe(false);
+          expect(fs.existsSync(path.join(EXTERNALS_OUTPUT_DIR, 'fake-b-package'))).toBe(false);
+          expect(fs.existsSync(path.join(EXTERNALS_OUTPUT_DIR, 'fake-c-package/fake-c-bundle.1.0.0.js'))).toBe(true);
+          fs.readFile(EXTERNALS_HTML_FILE, 'utf8', (er, data) => {
+            expect(er).toBeFalsy();
+            const $ = cheerio.load(data);
+            expect($('script[src="https://other.example.com/fake-a-package/1.0.0/fake-a-bundle.js"]')).toBeTag({ tagName: 'script' });
+            expect($('script[src="https://cdn.example.com/fake-b-package@1.0.0/fake-b-bundle.js"]')).toBeTag({ tagName: 'script', attributes: { integrity: fakeBIntegrity, crossorigin: 'anonymous' } });
+            expect($('script[src="fake-c-package/fake-c-bundle.1.0.0.js"]')).toBeTag({ tagName: 'script' });
+            done();
+          });
+        });
+      });
+
+      it('should not add the webpack publicPath to the cdn path of an external fromPackage file', done => {
+        const webpackConfig = createExternalsWebpackConfig({
+          context: EXTERNALS_PATH,
+          plugins: [
+            new MiniCssExtractPlugin({ filename: '[name].css' }),
+            new HtmlWebpackPlugin(),
+            new HtmlWebpackTagsPlugin({
+              cdn: 'https://cdn.example.com/[packageName]@[version]/[file]',
+              scripts: [
+                { external: { packageName: 'fake-a-package', variableName: 'FakeA', fromPackage: 'fake-a-bundle.js' } },
+                { external: { packageName: 'fake-c-package', variableName: 'FakeC', fromPackage: 'fake-c-bundle.js' }, cdn: false }
+              ]
+            })
+          ]
+        });
+        webpackConfig.output.publicPath = '/pub/';
+        webpack(webpackConfig, (err, result) => {
+          expect(err).toBeFalsy();
+          expect(getCompilationErrors(result)).toBe(EMPTY_ERRORS);
+          const $ = cheerio.load(fs.readFileSync(EXTERNALS_HTML_FILE, 'utf8'));
+          const getTagPaths = selector => $(selector).toArray().map(tag => tag.attribs.src);
+          expect(getTagPaths('script')).toContain('https://cdn.example.com/fake-a-package@1.0.0/fake-a-bundle.js');
+          expect(getTagPaths('script')).toContain('/pub/fake-c-package/fake-c-bundle.1.0.0.js');
+          done();
+        });
+      });
+
+      it('should only inject the external scripts used by the chunks of each page with injectOnlyIfUsed', done => {
+        webpack(createExternalsWebpackConfig({
+          entry: {
+            app: EXTERNALS_ENTRY,
+            other: path.join(EXTERNALS_PATH, 'other-entry.js')
+          },
+          plugins: [
+            new HtmlWebpackPlugin({ chunks: ['app'] }),
+            new HtmlWebpackPlugin({ chunks: ['other'], filename: 'other.html' }),
+            new HtmlWebpackTagsPlugin({
+              injectOnlyIfUsed: true,
+              publicPath: false,
+              scripts: [
+                { path: 'fake-a.js', external: { packageName: 'fake-a-package', variableName: 'FakeA' } },
+                { path: 'fake-b.js', external: { packageName: 'fake-b-package', variableName: 'FakeB' } },
+                { path: 'fake-other.js', external: { packageName: 'fake-other-package', variableName: 'FakeOther' } },
+                { path: 'fake-c.js', external: { packageName: 'fake-c-package', variableName: 'FakeC' }, injectOnlyIfUsed: false },
+                'not-external.js'
+              ]
+            })
+          ]
+        }), (err, result) => {
+          expect(err).toBeFalsy();
+          expect(getCompilationErrors(result)).toBe(EMPTY_ERRORS);
+          const warnings = result.compilation.warnings.map(warning => warning.message).filter(message => message.startsWith('HtmlWebpackTagsPlugin'));
+          expect(warnings).toEqual(['HtmlWebpackTagsPlugin: the external (fake-other-package) is not used by any chunk']);
+          const $ = cheerio.load(fs.readFileSync(EXTERNALS_HTML_FILE, 'utf8'));
+          expect($('script[src="fake-a.js"]')).toBeTag({ tagName: 'script' });
+          expect($('script[src="fake-b.js"]')).toBeTag({ tagName: 'script' });
+          expect($('script[src="fake-c.js"]')).toBeTag({ tagName: 'script' });
+          expect($('script[src="fake-other.js"]').length).toBe(0);
+          expect($('script[src="not-external.js"]')).toBeTag({ tagName: 'script' });
+          const $other = cheerio.load(fs.readFileSync(path.join(EXTERNALS_OUTPUT_DIR, 'other.html'), 'utf8'));
+          expect($other('script[src="fake-a.js"]').length).toBe(0);
+          expect($other('script[src="fake-b.js"]')).toBeTag({ tagName: 'script' });
+          expect($other('script[src="fake-c.js"]')).toBeTag({ tagName: 'script' });
+          expect($other('script[src="fake-other.js"]').length).toBe(0);
+          expect($other('script[src="not-external.js"]')).toBeTag({ tagName: 'script' });
+          done();
+        });
+      });
+
+      it('should resolve an external fromPackage package whose exports do not list its package.json', done => {
+        webpack(createExternalsWebpackConfig({
+          context: EXTERNALS_PATH,
+          plugins: [
+            new MiniCssExtractPlugin({ filename: '[name].css' }),
+            new HtmlWebpackPlugin(),
+            new HtmlWebpackTagsPlugin({
+              publicPath: false,
+              scripts: { external: { packageName: 'fake-exports-package', variableName: 'FakeExports', fromPackage: 'fake-exports-bundle.js' } }
+            })
+          ]
+        }), (err, result) => {
+          expect(err).toBeFalsy();
+          expect(getCompilationErrors(result)).toBe(EMPTY_ERRORS);
+          expect(fs.existsSync(path.join(EXTERNALS_OUTPUT_DIR, 'fake-exports-package/fake-exports-bundle.2.0.0.js'))).toBe(true);
+          const $ = cheerio.load(fs.readFileSync(EXTERNALS_HTML_FILE, 'utf8'));
+          expect($('script[src="fake-exports-package/fake-exports-bundle.2.0.0.js"]')).toBeTag({ tagName: 'script' });
+          done();
+        });
+      });
+
+      it('should output an error when an external fromPackage file is outside of its package', done => {
+        webpack(createExternalsWebpackConfig({
+          context: EXTERNALS_PATH,
+          plugins: [
+            new MiniCssExtractPlugin({ filename: '[name].css' }),
+            new HtmlWebpackPlugin(),
+            new HtmlWebpackTagsPlugin({
+              scripts: { external: { packageName: 'fake-a-package', variableName: 'FakeA', fromPackage: '../fake-b-package/fake-b-bundle.js' } }
+            })
+          ]
+        }), (err, result) => {
+          expect(err).toBeFalsy();
+          expect(hasCompilationErrorText(result, 'should be a file inside the package')).toBe(true);
+          done();
+        });
+      });
+
+      it('should output an error when an external fromPackage package cannot be resolved', done => {
+        webpack(createExternalsWebpackConfig({
+          context: EXTERNALS_PATH,
+          plugins: [
+            new MiniCssExtractPlugin({ filename: '[name].css' }),
+            new HtmlWebpackPlugin(),
+            new HtmlWebpackTagsPlugin({
+              scripts: { external: { packageName: 'fake-x', variableName: 'FakeX', fromPackage: 'missing.js' } }
+            })
+          ]
+        }), (err, result) => {
+          expect(err).toBeFalsy();
+          expect(hasCompilationErrorText(result, 'could not resolve the package')).toBe(true);
+          expect(hasCompilationErrorText(result, '(fake-x)')).toBe(true);
+          done();
+        });
+      });
+    });
   });
 }
 
@@ -0,0 +1,3 @@
+const fakeB = require('fake-b-package').fakeB;
+
+document.getElementById('external-root').innerHTML = '<div class="fake">' + fakeB() + '</div>';
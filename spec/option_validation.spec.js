@@ -168,6 +168,28 @@ describe('option validation', () => {
       done();
     });
 
+    it('should throw an error if the useHash flag is a string other than content', done => {
+      const theFunction = () => {
+        return new HtmlWebpackTagsPlugin({ useHash: 'contents' });
+      };
+
+      expect(theFunction).toThrowError(/(options.useHash should be a boolean or 'content')/);
+      done();
+    });
+
+    it('should not throw an error if the hash or useHash options are content', done => {
+      const theFunction = () => {
+        return [
+          new HtmlWebpackTagsPlugin({ hash: 'content' }),
+          new HtmlWebpackTagsPlugin({ useHash: 'content', addHash: (assetPath, hash) => assetPath + '#' + hash }),
+          new HtmlWebpackTagsPlugin({ scripts: [{ path: 'a.js', hash: 'content' }] })
+        ];
+      };
+
+      expect(theFunction).not.toThrowError();
+      done();
+    });
+
     it('should throw an error if the addHash option is not a function', done => {
       const theFunction = () => {
         return new HtmlWebpackTagsPlugin({ addHash: 123 });
@@ -196,6 +218,350 @@ describe('option validation', () => {
     });
   });
 
+  describe('options.integrity', () => {
+    it('should throw an error if the integrity option is not a boolean or a supported algorithm', done => {
+      const badChecks = [123, 'md5', [], ['sha256', 'sha1'], {}];
+
+      badChecks.forEach(val => {
+        const theCheck = () => {
+          return new HtmlWebpackTagsPlugin({ tags: [], integrity: val });
+        };
+        expect(theCheck).toThrowError(/(options.integrity should be a boolean or one or an array of sha256, sha384, sha512)/);
+      });
+      done();
+    });
+
+    it('should throw an error if a tag integrity option is not a boolean or a supported algorithm', done => {
+      const theFunction = () => {
+        return new HtmlWebpackTagsPlugin({ scripts: [{ path: 'a.js', integrity: 'md5' }] });
+      };
+
+      expect(theFunction).toThrowError(/(options.scripts.integrity should be a boolean or one or an array of sha256, sha384, sha512)/);
+      done();
+    });
+
+    it('should not throw an error for valid integrity options', done => {
+      const theFunction = () => {
+        return new HtmlWebpackTagsPlugin({ integrity: 'sha256', scripts: [{ path: 'a.js', integrity: ['sha384', 'sha512'] }, { path: 'b.js', integrity: false }] });
+      };
+
+      expect(theFunction).not.toThrowError();
+      done();
+    });
+  });
+
+  describe('options.cdn', () => {
+    it('should throw an error if the cdn option is not false or a string', done => {
+      const badChecks = [123, true, /regex/, {}];
+
+      badChecks.forEach(val => {
+        const theCheck = () => {
+          return new HtmlWebpackTagsPlugin({ tags: [], cdn: val });
+        };
+        expect(theCheck).toThrowError(/(options.cdn should be false or a string)/);
+      });
+      done();
+    });
+
+    it('should not throw an error for valid cdn options', done => {
+      const theFunction = () => {
+        return new HtmlWebpackTagsPlugin({ cdn: 'https://cdn.example.com/[packageName]@[version]/[file]', scripts: [{ path: 'a.js', cdn: false }] });
+      };
+
+      expect(theFunction).not.toThrowError();
+      done();
+    });
+  });
+
+  describe('options.injectOnlyIfUsed', () => {
+    it('should throw an error if injectOnlyIfUsed is not a boolean', done => {
+      const nonBooleanCheck = [123, 'true', /regex/, {}];
+
+      nonBooleanCheck.forEach(val => {
+        const theCheck = () => {
+          return new HtmlWebpackTagsPlugin({ injectOnlyIfUsed: val });
+        };
+
+        expect(theCheck).toThrowError(/(options\.injectOnlyIfUsed should be a boolean)/);
+      });
+
+      done();
+    });
+
+    it('should throw an error if a tag injectOnlyIfUsed is not a boolean', done => {
+      const theFunction = () => {
+        return new HtmlWebpackTagsPlugin({ scripts: [{ path: 'a.js', injectOnlyIfUsed: 'true', external: { packageName: 'a', variableName: 'A' } }] });
+      };
+
+      expect(theFunction).toThrowError(/(options\.scripts\.injectOnlyIfUsed should be a boolean)/);
+      done();
+    });
+  });
+
+  describe('options.inlineThreshold', () => {
+    it('should throw an error if inlineThreshold is not a non negative number', done => {
+      const badChecks = [-1, '123', true, {}];
+
+      badChecks.forEach(val => {
+        const theCheck = () => {
+          return new HtmlWebpackTagsPlugin({ inlineThreshold: val });
+        };
+
+        expect(theCheck).toThrowError(/(options\.inlineThreshold should be a non negative number)/);
+      });
+
+      done();
+    });
+
+    it('should not throw an error for valid inlineThreshold options', done => {
+      const theFunction = () => {
+        return new HtmlWebpackTagsPlugin({ inlineThreshold: 1024, scripts: [{ path: 'a.js', sourcePath: 'a.js', inlineThreshold: 0 }] });
+      };
+
+      expect(theFunction).not.toThrowError();
+      done();
+    });
+  });
+
+  describe('options.priority', () => {
+    it('should throw an error if priority is not a number', done => {
+      const badChecks = ['1', true, NaN, Infinity, {}];
+
+      badChecks.forEach(val => {
+        const theCheck = () => {
+          return new HtmlWebpackTagsPlugin({ priority: val });
+        };
+
+        expect(theCheck).toThrowError(/(options\.priority should be a number)/);
+      });
+
+      done();
+    });
+
+    it('should throw an error if a tag priority is not a number', done => {
+      const theFunction = () => {
+        return new HtmlWebpackTagsPlugin({ links: [{ path: 'a.css', priority: '1' }] });
+      };
+
+      expect(theFunction).toThrowError(/(options\.links\.priority should be a number)/);
+      done();
+    });
+
+    it('should not throw an error for valid priority options', done => {
+      const theFunction = () => {
+        return new HtmlWebpackTagsPlugin({ priority: -5, scripts: [{ path: 'a.js', priority: 10 }], links: [{ path: 'a.css', priority: 0.5 }] });
+      };
+
+      expect(theFunction).not.toThrowError();
+      done();
+    });
+  });
+
+  describe('options.resourceHint', () => {
+    it('should throw an error if resourceHint is not false or a supported resource hint', done => {
+      const badChecks = [true, 123, 'stylesheet', {}];
+
+      badChecks.forEach(val => {
+        const theCheck = () => {
+          return new HtmlWebpackTagsPlugin({ resourceHint: val });
+        };
+
+        expect(theCheck).toThrowError(/(options\.resourceHint should be false or one of preload, prefetch, modulepreload, preconnect)/);
+      });
+
+      done();
+    });
+
+    it('should not throw an error for valid resourceHint options', done => {
+      const theFunction = () => {
+        return new HtmlWebpackTagsPlugin({ resourceHint: 'preload', scripts: [{ path: 'a.js', resourceHint: 'modulepreload' }, { path: 'b.js', resourceHint: false }] });
+      };
+
+      expect(theFunction).not.toThrowError();
+      done();
+    });
+  });
+
+  describe('options.preconnect & options.dnsPrefetch', () => {
+    it('should throw an error if preconnect or dnsPrefetch is not a boolean', done => {
+      const nonBooleanCheck = [123, 'true', /regex/, {}];
+
+      nonBooleanCheck.forEach(val => {
+        const preconnectCheck = () => new HtmlWebpackTagsPlugin({ preconnect: val });
+        const dnsPrefetchCheck = () => new HtmlWebpackTagsPlugin({ dnsPrefetch: val });
+
+        expect(preconnectCheck).toThrowError(/(options\.preconnect should be a boolean)/);
+        expect(dnsPrefetchCheck).toThrowError(/(options\.dnsPrefetch should be a boolean)/);
+      });
+
+      done();
+    });
+
+    it('should not throw an error for valid preconnect and dnsPrefetch options', done => {
+      const theFunction = () => {
+        return new HtmlWebpackTagsPlugin({ preconnect: true, dnsPrefetch: true, scripts: [{ path: 'https://cdn.example.com/a.js', preconnect: false }] });
+      };
+
+      expect(theFunction).not.toThrowError();
+      done();
+    });
+  });
+
+  describe('options.links rel', () => {
+    it('should throw an error if a rel is used on a script tag', done => {
+      const theFunction = () => {
+        return new HtmlWebpackTagsPlugin({ scripts: [{ path: 'a.js', rel: 'icon' }] });
+      };
+
+      expect(theFunction).toThrowError(/(options\.scripts\.rel should only be used on link tags)/);
+      done();
+    });
+
+    it('should throw an error if a link rel is not a string', done => {
+      const theFunction = () => {
+        return new HtmlWebpackTagsPlugin({ links: [{ path: 'a.ico', rel: true }] });
+      };
+
+      expect(theFunction).toThrowError(/(options\.links\.rel should be a string)/);
+      done();
+    });
+
+    it('should throw an error if a link rel is used with content', done => {
+      const theFunction = () => {
+        return new HtmlWebpackTagsPlugin({ links: [{ content: 'a', rel: 'icon' }] });
+      };
+
+      expect(theFunction).toThrowError(/(options\.links\.rel should not be used with a content or inline property)/);
+      done();
+    });
+
+    it('should throw an error if a link rel other than stylesheet is used with a placement option', done => {
+      const withInject = () => new HtmlWebpackTagsPlugin({ links: [{ path: 'a.ico', rel: 'icon', inject: 'body' }] });
+      const withPriority = () => new HtmlWebpackTagsPlugin({ tags: [{ path: 'a.ico', rel: 'icon', priority: 1 }] });
+      const withAfter = () => new HtmlWebpackTagsPlugin({ links: [{ path: 'manifest.json', rel: 'manifest', after: 'a.css' }] });
+
+      expect(withInject).toThrowError(/(options\.links\.rel other than stylesheet should not be used with a inject property)/);
+      expect(withPriority).toThrowError(/(options\.tags\.rel other than stylesheet should not be used with a priority property)/);
+      expect(withAfter).toThrowError(/(options\.links\.rel other than stylesheet should not be used with a after property)/);
+      done();
+    });
+
+    it('should not throw an error for a stylesheet rel with a placement option', done => {
+      const theFunction = () => new HtmlWebpackTagsPlugin({ links: [{ path: 'a.css', rel: 'stylesheet', inject: 'body', priority: 1 }] });
+
+      expect(theFunction).not.toThrowError();
+      done();
+    });
+
+    it('should not throw an error for tags with a rel and a path without a css extension', done => {
+      const theFunction = () => {
+        return new HtmlWebpackTagsPlugin({ tags: [{ path: 'favicon.ico', rel: 'icon' }], links: [{ path: 'manifest.json', rel: 'manifest' }] });
+      };
+
+      expect(theFunction).not.toThrowError();
+      done();
+    });
+  });
+
+  describe('options.customTags', () => {
+    it('should throw an error if customTags is not an object or array', done => {
+      const theFunction = () => new HtmlWebpackTagsPlugin({ customTags: 'base' });
+
+      expect(theFunction).toThrowError(/(options\.customTags should be an object or array)/);
+      done();
+    });
+
+    it('should throw an error if a custom tag has no string tagName', done => {
+      const theFunction = () => new HtmlWebpackTagsPlugin({ customTags: [{ attributes: { href: '/' } }] });
+
+      expect(theFunction).toThrowError(/(options\.customTags object must have a string tagName property)/);
+      done();
+    });
+
+    it('should throw an error if a custom tag has invalid properties', done => {
+      const badInnerHTML = () => new HtmlWebpackTagsPlugin({ customTags: { tagName: 'div', innerHTML: 123 } });
+      const badVoidTag = () => new HtmlWebpackTagsPlugin({ customTags: { tagName: 'div', voidTag: 'true' } });
+      const voidInnerHTML = () => new HtmlWebpackTagsPlugin({ customTags: { tagName: 'div', voidTag: true, innerHTML: 'a' } });
+      const badInject = () => new HtmlWebpackTagsPlugin({ customTags: { tagName: 'div', inject: 'footer' } });
+      const badAttributes = () => new HtmlWebpackTagsPlugin({ customTags: { tagName: 'div', attributes: { a: {} } } });
+      const noPath = () => new HtmlWebpackTagsPlugin({ customTags: { tagName: 'object', pathAttribute: 'data' } });
+      const badFiles = () => new HtmlWebpackTagsPlugin({ customTags: { tagName: 'div', files: true } });
+      const badSourcePath = () => new HtmlWebpackTagsPlugin({ customTags: { tagName: 'object', path: 'a.swf', sourcePath: 123 } });
+      const noSourcePathPath = () => new HtmlWebpackTagsPlugin({ customTags: { tagName: 'object', sourcePath: 'a.swf' } });
+      const outputPath = () => new HtmlWebpackTagsPlugin({ customTags: { tagName: 'object', path: 'a.swf', sourcePath: 'a.swf', outputPath: '[name][ext]' } });
+
+      expect(badInnerHTML).toThrowError(/(options\.customTags object should have a string innerHTML property)/);
+      expect(badVoidTag).toThrowError(/(options\.customTags object should have a boolean voidTag property)/);
+      expect(voidInnerHTML).toThrowError(/(options\.customTags object should not have an innerHTML property when voidTag is true)/);
+      expect(badInject).toThrowError(/(options\.customTags object inject should be head or body)/);
+      expect(badAttributes).toThrowError(/(options\.customTags object attribute values should be strings, booleans or numbers)/);
+      expect(noPath).toThrowError(/(options\.customTags object must have a path property when pathAttribute is used)/);
+      expect(badSourcePath).toThrowError(/(options\.customTags object should have a string sourcePath property)/);
+      expect(noSourcePathPath).toThrowError(/(options\.customTags object must have a path property when sourcePath is used)/);
+      expect(outputPath).toThrowError(/(options\.customTags object should not have an outputPath property)/);
+      expect(badFiles).toThrowError(/(options\.customTags object files should be a string, RegExp or function, or an array of these)/);
+      done();
+    });
+
+    it('should not throw an error for valid customTags', done => {
+      const theFunction = () => new HtmlWebpackTagsPlugin({
+        customTags: [
+          { tagName: 'base', attributes: { href: '/' } },
+          { tagName: 'object', path: 'a.swf', pathAttribute: 'data', inject: 'body', hash: true },
+          { tagName: 'div', files: /admin/ },
+          { tagName: 'object', path: 'a.swf', sourcePath: 'spec/fixtures/a.swf', pathAttribute: 'data' }
+        ]
+      });
+
+      expect(theFunction).not.toThrowError();
+      done();
+    });
+  });
+
+  describe('options function', () => {
+    it('should not validate the options of a function until a compilation', done => {
+      const optionsFunction = jasmine.createSpy('options').and.returnValue({ append: 'true' });
+      const theFunction = () => {
+        return new HtmlWebpackTagsPlugin(optionsFunction);
+      };
+
+      expect(theFunction).not.toThrowError();
+      expect(optionsFunction).not.toHaveBeenCalled();
+      done();
+    });
+  });
+
+  describe('options.env', () => {
+    it('should throw an error if env is not an object of options objects', done => {
+      const badEnv = () => new HtmlWebpackTagsPlugin({ env: 'production' });
+      const badModeOptions = () => new HtmlWebpackTagsPlugin({ env: { production: ['a.js'] } });
+      const nestedEnv = () => new HtmlWebpackTagsPlugin({ env: { production: { env: {} } } });
+
+      expect(badEnv).toThrowError(/(options\.env should be an object)/);
+      expect(badModeOptions).toThrowError(/(options\.env\.production should be an options object without an env property)/);
+      expect(nestedEnv).toThrowError(/(options\.env\.production should be an options object without an env property)/);
+      done();
+    });
+
+    it('should throw an error if the options of any env are invalid', done => {
+      const theFunction = () => {
+        return new HtmlWebpackTagsPlugin({ scripts: ['a.js'], env: { development: { links: 'a.css' }, production: { append: 'true' } } });
+      };
+
+      expect(theFunction).toThrowError(/(options\.env\.production\.append should be a boolean)/);
+      done();
+    });
+
+    it('should not throw an error for valid env options', done => {
+      const theFunction = () => {
+        return new HtmlWebpackTagsPlugin({ scripts: ['a.js'], env: { development: { links: 'a.css' }, production: { scripts: 'b.js', publicPath: 'cdn/' } } });
+      };
+
+      expect(theFunction).not.toThrowError();
+      done();
+    });
+  });
+
   describe('options.prependExternals', () => {
     it('should throw an error if prependExternals is not a boolean', done => {
       const nonBooleanCheck = [123, 'true', /regex/, {}];
@@ -241,25 +607,39 @@ describe('option validation', () => {
   });
 
   describe('options.files', () => {
-    it('should throw an error if the files option is not a string', done => {
-      const nonStringCheck = [123, true, /regex/, {}];
+    it('should throw an error if the files option is not a string, RegExp or function', done => {
+      const nonStringCheck = [123, true, {}];
 
       nonStringCheck.forEach(val => {
         const theCheck = () => {
           return new HtmlWebpackTagsPlugin({ tags: [], append: true, publicPath: true, files: val });
         };
 
-        expect(theCheck).toThrowError(/(options\.files should be a string or array of strings)/);
+        expect(theCheck).toThrowError(/(options\.files should be a string, RegExp or function, or an array of these)/);
       });
 
       done();
     });
 
-    it('should throw an error if any of the files options are not strings', done => {
+    it('should throw an error if any of the files options are not strings, RegExps or functions', done => {
       const theFunction = () => {
         return new HtmlWebpackTagsPlugin({ tags: ['foo.js', 'bar.css'], append: false, files: ['abc', true, 'def'] });
       };
-      expect(theFunction).toThrowError(/(options\.files should be a string or array of strings)/);
+      expect(theFunction).toThrowError(/(options\.files should be a string, RegExp or function, or an array of these)/);
+      done();
+    });
+
+    it('should not throw an error if the files options are strings, RegExps or functions', done => {
+      const validChecks = ['*.html', /index\.html$/, outputName => outputName === 'index.html', ['abc', /def/, () => true]];
+
+      validChecks.forEach(val => {
+        const theCheck = () => {
+          return new HtmlWebpackTagsPlugin({ tags: [], files: val });
+        };
+
+        expect(theCheck).not.toThrowError();
+      });
+
       done();
     });
   });
@@ -617,6 +997,297 @@ function runTestsForOption (optionName, isScript, runExtraTests) {
     });
   });
 
+  describe(`options.${optionName} outputPath`, () => {
+    it(`should throw an error if any of the ${optionName} options are objects with an outputPath property that is not a string`, done => {
+      const theFunction = () => {
+        return new HtmlWebpackTagsPlugin({ [optionName]: [{ outputPath: 123, sourcePath: `a${ext}` }] });
+      };
+
+      expect(theFunction).toThrowError(new RegExp(`(options.${optionName} object should have a string outputPath property)`));
+      done();
+    });
+
+    it(`should throw an error if any of the ${optionName} options are objects with an outputPath property but no sourcePath`, done => {
+      const theFunction = () => {
+        return new HtmlWebpackTagsPlugin({ [optionName]: [{ outputPath: '[name][ext]' }] });
+      };
+
+      expect(theFunction).toThrowError(new RegExp(`(options.${optionName} object must have a sourcePath property when outputPath is used)`));
+      done();
+    });
+
+    it(`should throw an error if any of the ${optionName} options are objects with both an outputPath and a path property`, done => {
+      const theFunction = () => {
+        return new HtmlWebpackTagsPlugin({ [optionName]: [{ path: `a${ext}`, outputPath: '[name][ext]', sourcePath: `a${ext}` }] });
+      };
+
+      expect(theFunction).toThrowError(new RegExp(`(options.${optionName} object should not have a path property when outputPath is used)`));
+      done();
+    });
+
+    it(`should not throw an error if any of the ${optionName} options are objects with an outputPath and a sourcePath but no path`, done => {
+      const theFunction = () => {
+        return new HtmlWebpackTagsPlugin({ [optionName]: [{ outputPath: '[path][name].[contenthash][ext]', sourcePath: `a${ext}` }] });
+      };
+
+      expect(theFunction).not.toThrowError();
+      done();
+    });
+  });
+
+  describe(`options.${optionName} content & inline`, () => {
+    const typeOption = optionName === 'tags' ? { type: ext.slice(1) } : {};
+
+    it(`should not throw an error if any of the ${optionName} options are objects with a content or inline sourcePath but no path`, done => {
+      const theFunction = () => {
+        return new HtmlWebpackTagsPlugin({ [optionName]: [{ ...typeOption, content: 'abc' }, { sourcePath: `a${ext}`, inline: true }] });
+      };
+
+      expect(theFunction).not.toThrowError();
+      done();
+    });
+
+    it(`should throw an error if any of the ${optionName} options are objects with a content property that is not a string`, done => {
+      const theFunction = () => {
+        return new HtmlWebpackTagsPlugin({ [optionName]: [{ ...typeOption, content: 123 }] });
+      };
+
+      expect(theFunction).toThrowError(new RegExp(`(options.${optionName} object should have a string content property)`));
+      done();
+    });
+
+    it(`should throw an error if any of the ${optionName} options are objects with a content and a path or sourcePath`, done => {
+      const withPath = () => new HtmlWebpackTagsPlugin({ [optionName]: [{ path: `a${ext}`, content: 'abc' }] });
+      const withSourcePath = () => new HtmlWebpackTagsPlugin({ [optionName]: [{ sourcePath: `a${ext}`, content: 'abc', ...typeOption }] });
+      expect(withPath).toThrowError(new RegExp(`(options.${optionName} object should not have a path or sourcePath property when content is used)`));
+      expect(withSourcePath).toThrowError(new RegExp(`(options.${optionName} object should not have a path or sourcePath property when content is used)`));
+      done();
+    });
+
+    it(`should throw an error if any of the ${optionName} options are objects with an inline property that is not a boolean`, done => {
+      const theFunction = () => {
+        return new HtmlWebpackTagsPlugin({ [optionName]: [{ path: `a${ext}`, inline: 'true' }] });
+      };
+
+      expect(theFunction).toThrowError(new RegExp(`(options.${optionName} object should have a boolean inline property)`));
+      done();
+    });
+
+    it(`should throw an error if any of the ${optionName} options are objects with inline but no sourcePath or with a path or outputPath`, done => {
+      const noSourcePath = () => new HtmlWebpackTagsPlugin({ [optionName]: [{ ...typeOption, inline: true }] });
+      const withPath = () => new HtmlWebpackTagsPlugin({ [optionName]: [{ path: `a${ext}`, sourcePath: `a${ext}`, inline: true }] });
+      const withOutputPath = () => new HtmlWebpackTagsPlugin({ [optionName]: [{ outputPath: '[name][ext]', sourcePath: `a${ext}`, inline: true }] });
+      expect(noSourcePath).toThrowError(new RegExp(`(options.${optionName} object must have a sourcePath property when inline is used)`));
+      expect(withPath).toThrowError(new RegExp(`(options.${optionName} object should not have a path or outputPath property when inline is used)`));
+      expect(withOutputPath).toThrowError(new RegExp(`(options.${optionName} object should not have a path or outputPath property when inline is used)`));
+      done();
+    });
+  });
+
+  describe(`options.${optionName} inject`, () => {
+    it(`should throw an error if any of the ${optionName} options are objects with an invalid inject property`, done => {
+      const theFunction = () => {
+        return new HtmlWebpackTagsPlugin({ [optionName]: [{ path: `a${ext}`, inject: true }] });
+      };
+
+      expect(theFunction).toThrowError(new RegExp(`(options.${optionName} object inject should be head or body)`));
+      done();
+    });
+
+    it(`should not throw an error if any of the ${optionName} options are objects with a head or body inject property`, done => {
+      const theFunction = () => {
+        return new HtmlWebpackTagsPlugin({ [optionName]: [{ path: `a${ext}`, inject: 'head' }, { path: `b${ext}`, inject: 'body' }] });
+      };
+
+      expect(theFunction).not.toThrowError();
+      done();
+    });
+  });
+
+  describe(`options.${optionName} before & after`, () => {
+    it(`should throw an error if any of the ${optionName} options are objects with both a before and an after property`, done => {
+      const theFunction = () => {
+        return new HtmlWebpackTagsPlugin({ [optionName]: [{ path: `a${ext}`, before: `b${ext}`, after: `c${ext}` }] });
+      };
+
+      expect(theFunction).toThrowError(new RegExp(`(options.${optionName} object should not have both a before and an after property)`));
+      done();
+    });
+
+    it(`should throw an error if any of the ${optionName} options are objects with a before or after property that is not a string or a RegExp`, done => {
+      const theFunction = () => {
+        return new HtmlWebpackTagsPlugin({ [optionName]: [{ path: `a${ext}`, after: 123 }] });
+      };
+
+      expect(theFunction).toThrowError(new RegExp(`(options.${optionName} object before or after should be a string glob or a RegExp)`));
+      done();
+    });
+
+    it(`should not throw an error if any of the ${optionName} options are objects with a glob or RegExp before or after property`, done => {
+      const theFunction = () => {
+        return new HtmlWebpackTagsPlugin({ [optionName]: [{ path: `a${ext}`, before: `vendors~*${ext}` }, { path: `b${ext}`, after: /app/ }] });
+      };
+
+      expect(theFunction).not.toThrowError();
+      done();
+    });
+  });
+
+  describe(`options.${optionName} files`, () => {
+    it(`should throw an error if any of the ${optionName} options are objects with an invalid files property`, done => {
+      const theFunction = () => {
+        return new HtmlWebpackTagsPlugin({ [optionName]: [{ path: `a${ext}`, files: ['a.html', 123] }] });
+      };
+
+      expect(theFunction).toThrowError(new RegExp(`(options.${optionName} object files should be a string, RegExp or function, or an array of these)`));
+      done();
+    });
+
+    it(`should not throw an error if any of the ${optionName} options are objects with a string, RegExp or function files property`, done => {
+      const theFunction = () => {
+        return new HtmlWebpackTagsPlugin({ [optionName]: [{ path: `a${ext}`, files: 'a.html' }, { path: `b${ext}`, files: [/b/, () => true] }] });
+      };
+
+      expect(theFunction).not.toThrowError();
+      done();
+    });
+  });
+
+  describe(`options.${optionName} chunks & excludeChunks`, () => {
+    it(`should throw an error if any of the ${optionName} options are objects with a chunks or excludeChunks property that is not a string or array of strings`, done => {
+      const badChunks = () => new HtmlWebpackTagsPlugin({ [optionName]: [{ path: `a${ext}`, chunks: ['app', 123] }] });
+      const badExcludeChunks = () => new HtmlWebpackTagsPlugin({ [optionName]: [{ path: `a${ext}`, excludeChunks: true }] });
+
+      expect(badChunks).toThrowError(new RegExp(`(options.${optionName} object chunks should be a string or array of strings)`));
+      expect(badExcludeChunks).toThrowError(new RegExp(`(options.${optionName} object excludeChunks should be a string or array of strings)`));
+      done();
+    });
+
+    it(`should not throw an error if any of the ${optionName} options are objects with chunks and excludeChunks properties`, done => {
+      const theFunction = () => {
+        return new HtmlWebpackTagsPlugin({ [optionName]: [{ path: `a${ext}`, chunks: 'app' }, { path: `b${ext}`, chunks: ['app', 'admin'], excludeChunks: ['admin'] }] });
+      };
+
+      expect(theFunction).not.toThrowError();
+      done();
+    });
+  });
+
+  describe(`options.${optionName} when`, () => {
+    it(`should throw an error if any of the ${optionName} options are objects with a when property that is not a string or function`, done => {
+      const theFunction = () => {
+        return new HtmlWebpackTagsPlugin({ [optionName]: [{ path: `a${ext}`, when: true }] });
+      };
+
+      expect(theFunction).toThrowError(new RegExp(`(options.${optionName} object when should be a mode string or a function)`));
+      done();
+    });
+
+    it(`should not throw an error if any of the ${optionName} options are objects with a mode string or function when property`, done => {
+      const theFunction = () => {
+        return new HtmlWebpackTagsPlugin({ [optionName]: [{ path: `a${ext}`, when: 'production' }, { path: `b${ext}`, when: compilation => !!compilation }] });
+      };
+
+      expect(theFunction).not.toThrowError();
+      done();
+    });
+
+    it(`should throw an error if any of the ${optionName} options are objects with a when string that is not a webpack mode or an env name`, done => {
+      const theFunction = () => {
+        return new HtmlWebpackTagsPlugin({ [optionName]: [{ path: `a${ext}`, when: 'prod' }] });
+      };
+
+      expect(theFunction).toThrowError(/(when \(prod\) should be a webpack mode or an env name)/);
+      done();
+    });
+
+    it(`should not throw an error if any of the ${optionName} options are objects with a when string that is an env name`, done => {
+      const theFunction = () => {
+        return new HtmlWebpackTagsPlugin({ [optionName]: [{ path: `a${ext}`, when: 'staging' }], env: { staging: { [optionName]: { path: `b${ext}`, when: 'none' } } } });
+      };
+
+      expect(theFunction).not.toThrowError();
+      done();
+    });
+  });
+
+  describe(`options.${optionName} id & dependsOn`, () => {
+    it(`should throw an error if any of the ${optionName} options are objects with an id property that is not a string`, done => {
+      const theFunction = () => {
+        return new HtmlWebpackTagsPlugin({ [optionName]: [{ path: `a${ext}`, id: 123 }] });
+      };
+
+      expect(theFunction).toThrowError(new RegExp(`(options.${optionName} object should have a string id property)`));
+      done();
+    });
+
+    it(`should throw an error if any of the ${optionName} options are objects with a dependsOn property that is not a string or array of strings`, done => {
+      const theFunction = () => {
+        return new HtmlWebpackTagsPlugin({ [optionName]: [{ path: `a${ext}`, dependsOn: ['b', 123] }] });
+      };
+
+      expect(theFunction).toThrowError(new RegExp(`(options.${optionName} object dependsOn should be a string or array of strings)`));
+      done();
+    });
+
+    it(`should throw an error if any of the ${optionName} options are objects that depend on their own id`, done => {
+      const theFunction = () => {
+        return new HtmlWebpackTagsPlugin({ [optionName]: [{ path: `a${ext}`, id: 'a', dependsOn: 'a' }] });
+      };
+
+      expect(theFunction).toThrowError(new RegExp(`(options.${optionName} object should not depend on its own id)`));
+      done();
+    });
+
+    it(`should throw an error if any of the ${optionName} options are objects with an id and a glob`, done => {
+      const theFunction = () => {
+        return new HtmlWebpackTagsPlugin({ [optionName]: [{ path: 'assets', id: 'a', glob: `*${ext}`, globPath: 'spec/fixtures' }] });
+      };
+
+      expect(theFunction).toThrowError(new RegExp(`(options.${optionName} object should not have an id property when glob is used)`));
+      done();
+    });
+
+    it(`should throw an error if any of the ${optionName} options have the same id`, done => {
+      const theFunction = () => {
+        return new HtmlWebpackTagsPlugin({ [optionName]: [{ path: `a${ext}`, id: 'a' }, { path: `b${ext}`, id: 'a' }] });
+      };
+
+      expect(theFunction).toThrowError(/(options tag ids should be unique \(a\))/);
+      done();
+    });
+
+    it(`should throw an error if any of the ${optionName} options have the same id as a tag of an env`, done => {
+      const theFunction = () => {
+        return new HtmlWebpackTagsPlugin({ [optionName]: [{ path: `a${ext}`, id: 'a' }], env: { development: { [optionName]: { path: `b${ext}`, id: 'a' } } } });
+      };
+
+      expect(theFunction).toThrowError(/(options\.env\.development tag ids should be unique \(a\))/);
+      done();
+    });
+
+    it(`should not throw an error if any of the ${optionName} options have the same id and are never injected in the same env`, done => {
+      const theFunction = () => {
+        return new HtmlWebpackTagsPlugin({
+          [optionName]: [{ path: `a${ext}`, id: 'a', when: 'development' }, { path: `b${ext}`, id: 'a', when: 'production' }, { path: `c${ext}`, id: 'c', when: 'production' }],
+          env: { development: { [optionName]: { path: `d${ext}`, id: 'c' } } }
+        });
+      };
+
+      expect(theFunction).not.toThrowError();
+      done();
+    });
+
+    it(`should not throw an error if any of the ${optionName} options are objects with an id and dependsOn`, done => {
+      const theFunction = () => {
+        return new HtmlWebpackTagsPlugin({ [optionName]: [{ path: `a${ext}`, id: 'a' }, { path: `b${ext}`, id: 'b', dependsOn: 'a' }, { path: `c${ext}`, dependsOn: ['a', 'b'] }] });
+      };
+
+      expect(theFunction).not.toThrowError();
+      done();
+    });
+  });
+
   describe(`options.${optionName} external`, () => {
     it(`should throw an error if any of the ${optionName} options are objects with external property that is not an object`, done => {
       const theFunction = () => {
@@ -662,6 +1333,110 @@ function runTestsForOption (optionName, isScript, runExtraTests) {
         expect(theFunction).toThrowError(new RegExp(`(options.${optionName}.external should have a string packageName property)`));
         done();
       });
+
+      it(`should throw an error if any of the ${optionName} options are objects with external that has an invalid type`, done => {
+        const theFunction = () => {
+          return new HtmlWebpackTagsPlugin({ [optionName]: [{ path: `a${ext}`, external: { packageName: 'a', type: 'commonjs' } }] });
+        };
+        expect(theFunction).toThrowError(new RegExp(`(options.${optionName}.external type should be module or import)`));
+        done();
+      });
+
+      it(`should throw an error if any of the ${optionName} options are objects with external and a files, chunks, excludeChunks or when function property`, done => {
+        const external = { packageName: 'a', variableName: 'A' };
+        const pageFilters = [{ files: 'admin.html' }, { chunks: 'app' }, { excludeChunks: ['app'] }, { when: compilation => !!compilation }];
+        pageFilters.forEach(pageFilter => {
+          const theFunction = () => {
+            return new HtmlWebpackTagsPlugin({ [optionName]: [{ path: `a${ext}`, external, ...pageFilter }] });
+          };
+          expect(theFunction).toThrowError(new RegExp(`(options.${optionName}.external should not be used with a files, chunks, excludeChunks or when function property)`));
+        });
+        done();
+      });
+
+      it(`should not throw an error if any of the ${optionName} options are objects with external and a when mode string`, done => {
+        const theFunction = () => {
+          return new HtmlWebpackTagsPlugin({ [optionName]: [{ path: `a${ext}`, external: { packageName: 'a', variableName: 'A' }, when: 'production' }] });
+        };
+        expect(theFunction).not.toThrowError();
+        done();
+      });
+
+      it(`should throw an error if any of the ${optionName} options are objects with external that has a type and a variableName`, done => {
+        const theFunction = () => {
+          return new HtmlWebpackTagsPlugin({ [optionName]: [{ path: `a${ext}`, external: { packageName: 'a', variableName: 'A', type: 'module' } }] });
+        };
+        expect(theFunction).toThrowError(new RegExp(`(options.${optionName}.external should not have a variableName property when type is used)`));
+        done();
+      });
+
+      it(`should not throw an error if any of the ${optionName} options are objects with a module external`, done => {
+        const theFunction = () => {
+          return new HtmlWebpackTagsPlugin({ [optionName]: [{ path: `a${ext}`, external: { packageName: 'a', type: 'module' } }, { path: `b${ext}`, external: { packageName: 'b', type: 'import' } }] });
+        };
+        expect(theFunction).not.toThrowError();
+        done();
+      });
+
+      it(`should throw an error if any of the ${optionName} options are objects with a fallback but no variableName external`, done => {
+        const noExternal = () => new HtmlWebpackTagsPlugin({ [optionName]: [{ path: `a${ext}`, fallback: `b${ext}` }] });
+        const moduleExternal = () => new HtmlWebpackTagsPlugin({ [optionName]: [{ path: `a${ext}`, fallback: `b${ext}`, external: { packageName: 'a', type: 'module' } }] });
+        expect(noExternal).toThrowError(new RegExp(`(options.${optionName}.fallback should only be used on script tags with a variableName external)`));
+        expect(moduleExternal).toThrowError(new RegExp(`(options.${optionName}.fallback should only be used on script tags with a variableName external)`));
+        done();
+      });
+
+      it(`should throw an error if any of the ${optionName} options are objects with a fallback or fallbackSourcePath that is not a string`, done => {
+        const external = { packageName: 'a', variableName: 'A' };
+        const badFallback = () => new HtmlWebpackTagsPlugin({ [optionName]: [{ path: `a${ext}`, fallback: 123, external }] });
+        const badFallbackSourcePath = () => new HtmlWebpackTagsPlugin({ [optionName]: [{ path: `a${ext}`, fallbackSourcePath: true, external }] });
+        expect(badFallback).toThrowError(new RegExp(`(options.${optionName}.fallback should be a string)`));
+        expect(badFallbackSourcePath).toThrowError(new RegExp(`(options.${optionName}.fallbackSourcePath should be a string)`));
+        done();
+      });
+
+      it(`should not throw an error if any of the ${optionName} options are objects with an external fromPackage and no path`, done => {
+        const theFunction = () => {
+          return new HtmlWebpackTagsPlugin({ [optionName]: [{ external: { packageName: 'a', variableName: 'A', fromPackage: `dist/a${ext}` } }] });
+        };
+        expect(theFunction).not.toThrowError();
+        done();
+      });
+
+      it(`should throw an error if any of the ${optionName} options are objects with an external fromPackage that is not a string`, done => {
+        const theFunction = () => {
+          const typeOption = optionName === 'tags' ? { type: 'js' } : {};
+          return new HtmlWebpackTagsPlugin({ [optionName]: [{ ...typeOption, external: { packageName: 'a', variableName: 'A', fromPackage: true } }] });
+        };
+        expect(theFunction).toThrowError(new RegExp(`(options.${optionName}.external should have a string fromPackage property)`));
+        done();
+      });
+
+      it(`should throw an error if any of the ${optionName} options are objects with an external fromPackage and a path or sourcePath`, done => {
+        const external = { packageName: 'a', variableName: 'A', fromPackage: `dist/a${ext}` };
+        const withPath = () => new HtmlWebpackTagsPlugin({ [optionName]: [{ path: `a${ext}`, external }] });
+        const withSourcePath = () => new HtmlWebpackTagsPlugin({ [optionName]: [{ sourcePath: `a${ext}`, outputPath: '[name][ext]', external }] });
+        expect(withPath).toThrowError(new RegExp(`(options.${optionName}.external fromPackage should not be used with a path or sourcePath property)`));
+        expect(withSourcePath).toThrowError(new RegExp(`(options.${optionName}.external fromPackage should not be used with a path or sourcePath property)`));
+        done();
+      });
+
+      it(`should throw an error if any of the ${optionName} options are objects with a cdn but no external fromPackage`, done => {
+        const noExternal = () => new HtmlWebpackTagsPlugin({ [optionName]: [{ path: `a${ext}`, cdn: 'https://cdn.example.com/[file]' }] });
+        const pathExternal = () => new HtmlWebpackTagsPlugin({ [optionName]: [{ path: `a${ext}`, cdn: 'https://cdn.example.com/[file]', external: { packageName: 'a', variableName: 'A' } }] });
+        expect(noExternal).toThrowError(new RegExp(`(options.${optionName}.cdn should only be used on script tags with an external fromPackage)`));
+        expect(pathExternal).toThrowError(new RegExp(`(options.${optionName}.cdn should only be used on script tags with an external fromPackage)`));
+        done();
+      });
+
+      it(`should not throw an error if any of the ${optionName} options are objects with a cdn and an external fromPackage`, done => {
+        const theFunction = () => {
+          const cdn = 'https://cdn.example.com/[packageName]@[version]/[file]';
+          return new HtmlWebpackTagsPlugin({ [optionName]: [{ cdn, external: { packageName: 'a', variableName: 'A', fromPackage: `dist/a${ext}` } }] });
+        };
+        expect(theFunction).not.toThrowError();
+        done();
+      });
     }
   });
 
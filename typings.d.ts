@@ -1,9 +1,9 @@
-import { Compiler } from 'webpack';
+import { Compilation, Compiler } from 'webpack';
 
 export = HtmlWebpackTagsPlugin;
 
 declare class HtmlWebpackTagsPlugin {
-  constructor(options?: HtmlWebpackTagsPlugin.Options);
+  constructor(options?: HtmlWebpackTagsPlugin.Options | HtmlWebpackTagsPlugin.OptionsFunction);
 
   apply(compiler: Compiler): void;
 }
@@ -12,16 +12,31 @@ declare namespace HtmlWebpackTagsPlugin {
   type AddHashFunction = (assetPath: string, hash: string) => string;
   type AddPublicPathFunction = (assetPath: string, publicPath: string) => string;
   type TypeString = 'css' | 'js';
+  type IntegrityAlgorithm = 'sha256' | 'sha384' | 'sha512';
+  type ResourceHint = 'preload' | 'prefetch' | 'modulepreload' | 'preconnect';
+  type InjectLocation = 'head' | 'body';
+  type FilesFunction = (outputName: string, htmlPluginData: any) => boolean;
+  type FilesItem = string | RegExp | FilesFunction;
+  type WhenFunction = (compilation: Compilation) => boolean;
+  type OptionsFunction = (compilation: Compilation) => Options | Promise<Options>;
   type AttributesObject = { [attributeName: string]: string | boolean | number };
 
   interface CommonOptions {
     append?: boolean;
-    useHash?: boolean;
+    useHash?: boolean | 'content';
     addHash?: AddHashFunction
-    hash?: boolean | string | AddHashFunction;
+    hash?: boolean | 'content' | string | AddHashFunction;
     usePublicPath?: boolean;
     addPublicPath?: AddPublicPathFunction
     publicPath?: boolean | string | AddPublicPathFunction;
+    integrity?: boolean | IntegrityAlgorithm | IntegrityAlgorithm[];
+    cdn?: false | string;
+    injectOnlyIfUsed?: boolean;
+    inlineThreshold?: number;
+    resourceHint?: false | ResourceHint;
+    preconnect?: boolean;
+    dnsPrefetch?: boolean;
+    priority?: number;
   }
 
   interface Options extends CommonOptions {
@@ -29,34 +44,65 @@ declare namespace HtmlWebpackTagsPlugin {
     prependExternals?: boolean;
     jsExtensions?: string | string[];
     cssExtensions?: string | string[];
-    files?: string | string[];
+    files?: FilesItem | FilesItem[];
     tags?: string | MaybeLinkTagOptions | MaybeScriptTagOptions | Array<string | MaybeLinkTagOptions | MaybeScriptTagOptions>;
     links?: string | LinkTagOptions | Array<string | LinkTagOptions>;
     scripts?: string | ScriptTagOptions | Array<string | ScriptTagOptions>;
     metas?: string | MetaTagOptions | Array<string | MetaTagOptions>;
+    customTags?: CustomTagOptions | CustomTagOptions[];
+    env?: { [mode: string]: Options };
   }
 
-  interface ExternalObject {
+  interface GlobalExternalObject {
     packageName: string;
     variableName: string;
+    fromPackage?: string;
   }
 
+  interface ModuleExternalObject {
+    packageName: string;
+    type: 'module' | 'import';
+    fromPackage?: string;
+  }
+
+  type ExternalObject = GlobalExternalObject | ModuleExternalObject;
+
   interface BaseTagOptions extends CommonOptions {
     glob?: string;
     globPath?: string;
     globFlatten?: boolean;
     sourcePath?: string;
+    outputPath?: string;
+    content?: string;
+    inline?: boolean;
+    files?: FilesItem | FilesItem[];
+    chunks?: string | string[];
+    excludeChunks?: string | string[];
+    when?: string | WhenFunction;
   }
 
   interface LinkTagOptions extends BaseTagOptions {
-    path: string;
+    path?: string;
+    rel?: string;
+    inject?: InjectLocation;
+    before?: string | RegExp;
+    after?: string | RegExp;
+    id?: string;
+    dependsOn?: string | string[];
     attributes?: AttributesObject;
   }
 
   interface ScriptTagOptions extends BaseTagOptions {
-    path: string;
+    path?: string;
+    inject?: InjectLocation;
+    before?: string | RegExp;
+    after?: string | RegExp;
+    id?: string;
+    dependsOn?: string | string[];
     attributes?: AttributesObject;
-    external?: ExternalObject
+    external?: ExternalObject;
+    fallback?: string;
+    fallbackSourcePath?: string;
   }
 
   interface MaybeLinkTagOptions extends LinkTagOptions {
@@ -71,4 +117,19 @@ declare namespace HtmlWebpackTagsPlugin {
     path?: string;
     attributes: AttributesObject;
   }
+
+  interface CustomTagOptions extends CommonOptions {
+    tagName: string;
+    attributes?: AttributesObject;
+    innerHTML?: string;
+    voidTag?: boolean;
+    inject?: InjectLocation;
+    path?: string;
+    sourcePath?: string;
+    pathAttribute?: string;
+    files?: FilesItem | FilesItem[];
+    chunks?: string | string[];
+    excludeChunks?: string | string[];
+    when?: string | WhenFunction;
+  }
 }